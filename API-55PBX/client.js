@@ -0,0 +1,295 @@
+/**
+ * API-55PBX - Cliente HTTP
+ *
+ * Camada de acesso à API de métricas da 55PBX com retentativas
+ * (backoff exponencial), circuit breaker e erros tipados
+ */
+
+import axios from 'axios';
+import { config, getAuthHeaders } from './config.js';
+import { formatTimeBR } from '../CORE/timezone.js';
+import { tenantScoped } from '../CORE/tenants.js';
+
+// Cria instância do axios (a URL base e o timeout são do tenant atual, passados a cada requisição)
+const api = axios.create({
+  headers: {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json',
+  },
+  // Remove o header Expect que pode causar erro 417
+  maxRedirects: 0,
+});
+
+// Interceptor para remover header Expect que causa erro 417
+api.interceptors.request.use((requestConfig) => {
+  // Remove header Expect que pode causar erro 417
+  if (requestConfig.headers) {
+    delete requestConfig.headers.Expect;
+    delete requestConfig.headers.expect;
+  }
+  return requestConfig;
+});
+
+// =============================================
+// Erros tipados
+// =============================================
+
+/**
+ * Erro base da API 55PBX
+ * type: auth | not_found | rate_limited | timeout | server | network | unavailable
+ */
+export class PbxError extends Error {
+  constructor(message, { type, status = null, retryable = false, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'PbxError';
+    this.type = type;
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class PbxAuthError extends PbxError {
+  constructor(status) {
+    super(`55PBX recusou a autenticação (HTTP ${status}) - verifique o token`, { type: 'auth', status });
+    this.name = 'PbxAuthError';
+  }
+}
+
+export class PbxNotFoundError extends PbxError {
+  constructor() {
+    super('Endpoint da 55PBX não encontrado (HTTP 404) - verifique a URL da API', { type: 'not_found', status: 404 });
+    this.name = 'PbxNotFoundError';
+  }
+}
+
+export class PbxRateLimitError extends PbxError {
+  constructor(retryAfter) {
+    super('Limite de requisições da 55PBX atingido (HTTP 429)', { type: 'rate_limited', status: 429, retryable: true, retryAfter });
+    this.name = 'PbxRateLimitError';
+  }
+}
+
+export class PbxTimeoutError extends PbxError {
+  constructor() {
+    super('Tempo de resposta da 55PBX esgotado', { type: 'timeout', retryable: true });
+    this.name = 'PbxTimeoutError';
+  }
+}
+
+export class PbxServerError extends PbxError {
+  constructor(status) {
+    super(`Erro interno na 55PBX (HTTP ${status})`, { type: 'server', status, retryable: true });
+    this.name = 'PbxServerError';
+  }
+}
+
+export class PbxNetworkError extends PbxError {
+  constructor(code) {
+    super(`Sem resposta da 55PBX (${code || 'erro de rede'})`, { type: 'network', retryable: true });
+    this.name = 'PbxNetworkError';
+  }
+}
+
+export class PbxUnavailableError extends PbxError {
+  constructor(retryAt) {
+    super(`55PBX indisponível - novas tentativas a partir de ${formatTimeBR(retryAt)}`, { type: 'unavailable' });
+    this.name = 'PbxUnavailableError';
+  }
+}
+
+/**
+ * Converte um erro do axios / status HTTP em erro tipado
+ * @param {Object} error - Erro do axios
+ * @returns {PbxError}
+ */
+function toPbxError(error) {
+  if (error instanceof PbxError) return error;
+
+  const status = error.response?.status;
+
+  if (status === 401 || status === 403 || status === 417) return new PbxAuthError(status);
+  if (status === 404) return new PbxNotFoundError();
+  if (status === 429) {
+    const retryAfter = parseInt(error.response.headers?.['retry-after']) || null;
+    return new PbxRateLimitError(retryAfter);
+  }
+  if (status >= 500) return new PbxServerError(status);
+  if (status >= 400) return new PbxError(`55PBX retornou HTTP ${status}`, { type: 'server', status });
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return new PbxTimeoutError();
+
+  return new PbxNetworkError(error.code);
+}
+
+/**
+ * Verifica se o erro deve interromper uma sequência de consultas
+ * (credencial inválida ou API fora do ar: as próximas também vão falhar)
+ * @param {Error} error - Erro recebido
+ * @returns {boolean}
+ */
+export function isFatalError(error) {
+  return error instanceof PbxError && (error.type === 'auth' || error.type === 'unavailable');
+}
+
+// =============================================
+// Circuit breaker (um por tenant: cada conta 55PBX falha de forma independente)
+// =============================================
+
+const breaker = tenantScoped(() => ({
+  state: 'closed', // closed | open | half_open
+  failures: 0,
+  openedAt: null,
+  retryAt: null,
+}));
+
+const stats = tenantScoped(() => ({
+  requests: 0,
+  failures: 0,
+  retries: 0,
+  lastError: null,
+  lastSuccessAt: null,
+}));
+
+/**
+ * Verifica se o circuito permite a requisição
+ * @throws {PbxUnavailableError} Se o circuito estiver aberto
+ */
+function checkCircuit() {
+  if (breaker.state !== 'open') return;
+
+  if (Date.now() >= breaker.retryAt.getTime()) {
+    // Libera uma requisição de teste
+    breaker.state = 'half_open';
+    console.log('🔌 API-55PBX: Circuito em teste (half-open)');
+    return;
+  }
+
+  throw new PbxUnavailableError(breaker.retryAt);
+}
+
+/**
+ * Registra sucesso: fecha o circuito
+ */
+function recordSuccess() {
+  if (breaker.state !== 'closed') {
+    console.log('✅ API-55PBX: Circuito fechado - API respondendo novamente');
+  }
+  breaker.state = 'closed';
+  breaker.failures = 0;
+  breaker.openedAt = null;
+  breaker.retryAt = null;
+  stats.lastSuccessAt = new Date().toISOString();
+}
+
+/**
+ * Registra falha e abre o circuito ao atingir o limite
+ * Erros de autenticação/404 não indicam API fora do ar e não contam
+ * @param {PbxError} error - Erro tipado
+ */
+function recordFailure(error) {
+  stats.failures++;
+  stats.lastError = {
+    type: error.type,
+    status: error.status,
+    message: error.message,
+    at: new Date().toISOString(),
+  };
+
+  if (!error.retryable) return;
+
+  breaker.failures++;
+
+  if (breaker.state === 'half_open' || breaker.failures >= config.client.breakerThreshold) {
+    breaker.state = 'open';
+    breaker.openedAt = new Date();
+    breaker.retryAt = new Date(Date.now() + config.client.breakerCooldown * 1000);
+    console.error(`🚫 API-55PBX: Circuito aberto após ${breaker.failures} falhas - pausa até ${formatTimeBR(breaker.retryAt)}`);
+  }
+}
+
+/**
+ * Calcula o tempo de espera antes da próxima tentativa
+ * @param {number} attempt - Tentativa atual (começa em 1)
+ * @param {PbxError} error - Erro da tentativa
+ * @returns {number} Milissegundos
+ */
+function backoffDelay(attempt, error) {
+  if (error.retryAfter) {
+    return Math.min(error.retryAfter * 1000, config.client.backoffMax);
+  }
+
+  const exponential = config.client.backoffBase * 2 ** (attempt - 1);
+  const jitter = Math.random() * config.client.backoffBase;
+  return Math.min(exponential + jitter, config.client.backoffMax);
+}
+
+/**
+ * GET na API de métricas com retentativas e circuit breaker
+ * @param {string} path - Path relativo à URL base
+ * @param {Object} options - Opções extras do axios
+ * @returns {Promise<*>} Corpo da resposta
+ * @throws {PbxError} Erro tipado
+ */
+export async function get(path, options = {}) {
+  checkCircuit();
+
+  const maxAttempts = config.client.retries + 1;
+
+  for (let attempt = 1; ; attempt++) {
+    stats.requests++;
+
+    try {
+      const response = await api.get(path, {
+        baseURL: config.apiUrl,
+        timeout: config.client.timeout * 1000,
+        ...options,
+        headers: {
+          ...getAuthHeaders(),
+          'Accept': 'application/json',
+          ...options.headers,
+        },
+      });
+
+      recordSuccess();
+      return response.data;
+
+    } catch (err) {
+      const error = toPbxError(err);
+
+      if (!error.retryable || attempt >= maxAttempts) {
+        recordFailure(error);
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, error);
+      stats.retries++;
+      console.warn(`   🔁 API-55PBX: ${error.message} - tentativa ${attempt + 1}/${maxAttempts} em ${Math.round(delay)}ms`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
+
+/**
+ * Retorna o estado do cliente (circuito, contadores e último erro)
+ * @returns {Object} Status
+ */
+export function getClientStatus() {
+  return {
+    circuit: breaker.state,
+    consecutiveFailures: breaker.failures,
+    openedAt: breaker.openedAt?.toISOString() || null,
+    retryAt: breaker.retryAt?.toISOString() || null,
+    requests: stats.requests,
+    failures: stats.failures,
+    retries: stats.retries,
+    lastError: stats.lastError,
+    lastSuccessAt: stats.lastSuccessAt,
+  };
+}
+
+export default {
+  get,
+  getClientStatus,
+  isFatalError,
+};
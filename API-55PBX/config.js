@@ -5,33 +5,227 @@
  */
 
 import dotenv from 'dotenv';
+import { TIMEZONE } from '../CORE/timezone.js';
+import { DEFAULT_TENANT, tenantScoped } from '../CORE/tenants.js';
 dotenv.config();
 
-export const config = {
-  // URL base da API 55PBX Reports
-  apiUrl: process.env.API_55_URL || 'https://reportapi02.55pbx.com:50500/api/pbx/reports/metrics',
-  
-  // Credenciais para Basic Auth
-  username: process.env.API_55_USERNAME || '',
-  password: process.env.API_55_PASSWORD || process.env.API_55_TOKEN || '',
-  
-  // Token (usado também como senha) - OBRIGATÓRIO via .env
-  token: process.env.API_55_TOKEN || '',
-  
-  // Timezone Brasil
-  timezone: '-3',
-  
-  // Filtros padrão
-  defaultFilters: {
-    queue: 'all_queues',
-    number: 'all_numbers',
-    agent: 'all_agent',
-    report: 'report_01',
-    quiz_id: 'undefined',
-    interval: 'undefined',
-  },
+/**
+ * Converte uma lista "id:Nome,id2:Nome2" em [{ id, name }]
+ * Sem nome, o próprio ID é usado como nome
+ * @param {string} value - Valor da variável de ambiente
+ * @returns {Array<{id: string, name: string}>}
+ */
+function parseLabeledList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const [id, ...name] = item.split(':');
+      return { id: id.trim(), name: name.join(':').trim() || id.trim() };
+    });
+}
+
+/**
+ * Converte uma variável numérica inteira com valor padrão e mínimo
+ * Valores não numéricos (ex: "abc") usam o padrão; abaixo do mínimo, o mínimo
+ * @param {string} value - Valor da variável de ambiente
+ * @param {number} fallback - Valor padrão
+ * @param {number} min - Mínimo aceito
+ * @returns {number}
+ */
+function parseIntSetting(value, fallback, min) {
+  const number = parseInt(value);
+  return Number.isFinite(number) ? Math.max(number, min) : fallback;
+}
+
+// Bases de comparação aceitas em API_55_BASELINE
+export const BASELINE_MODES = ['weekday', 'business', 'all'];
+
+// Valores de call_type enviados pela 55PBX no webhook
+export const CALL_TYPES = {
+  outbound: 'ativo',
+  inbound: 'receptivo',
+  sms: 'sms',
 };
 
+/**
+ * Monta as configurações de um tenant a partir das variáveis de ambiente
+ * @param {Function} env - Leitor de variáveis do tenant (CORE/tenants.js)
+ * @param {string} tenantId - ID do tenant
+ * @returns {Object} Configurações
+ */
+function createConfig(env, tenantId = DEFAULT_TENANT) {
+  // Simulador local da 55PBX (API_55_SIMULATOR=true ou API_55_URL=simulator)
+  const simulatorEnabled = env('API_55_SIMULATOR') === 'true' || env('API_55_URL') === 'simulator';
+  const simulatorPath = '/simulator/55pbx';
+
+  // Rotas do próprio CORE usadas pelo simulador, com o prefixo do tenant (/simulator/t/acme/55pbx)
+  const localUrl = `http://localhost:${process.env.PORT || 3005}`;
+  const tenantPrefix = tenantId === DEFAULT_TENANT ? '' : `/t/${tenantId}`;
+
+  // No simulador o token é opcional (qualquer valor é aceito)
+  const token = env('API_55_TOKEN') || (simulatorEnabled ? 'simulator' : '');
+
+  return {
+    // URL base da API 55PBX Reports (no simulador, servida pelo próprio CORE)
+    apiUrl: simulatorEnabled
+      ? `${localUrl}/simulator${tenantPrefix}/55pbx`
+      : env('API_55_URL') || 'https://reportapi02.55pbx.com:50500/api/pbx/reports/metrics',
+    
+    // Credenciais para Basic Auth
+    username: env('API_55_USERNAME') || '',
+    password: env('API_55_PASSWORD') || token,
+    
+    // Token (usado também como senha) - OBRIGATÓRIO via .env
+    token,
+    
+    // Cliente HTTP: retentativas e circuit breaker
+    client: {
+      // Tempo máximo de cada requisição (segundos)
+      timeout: parseIntSetting(env('API_55_TIMEOUT'), 30, 1),
+      
+      // Retentativas para erros transitórios (timeout, 5xx, 429, rede)
+      retries: parseIntSetting(env('API_55_RETRIES'), 3, 0),
+      
+      // Backoff exponencial (ms): base * 2^(tentativa-1), limitado ao máximo
+      backoffBase: 500,
+      backoffMax: 8000,
+      
+      // Falhas consecutivas para abrir o circuito e tempo de pausa (segundos)
+      breakerThreshold: parseIntSetting(env('API_55_BREAKER_THRESHOLD'), 5, 1),
+      breakerCooldown: parseIntSetting(env('API_55_BREAKER_COOLDOWN'), 60, 1),
+    },
+    
+    // Histórico permanente de dias fechados
+    history: {
+      // Dias buscados em paralelo quando faltam no histórico
+      concurrency: parseInt(env('API_55_HISTORY_CONCURRENCY')) || 3,
+      
+      // Base de comparação da análise: weekday (mesmo dia da semana nas últimas
+      // N semanas), business (últimos N dias úteis) ou all (últimos N dias corridos)
+      baseline: BASELINE_MODES.includes(env('API_55_BASELINE')) ? env('API_55_BASELINE') : 'weekday',
+      
+      // Semanas consideradas no modo weekday
+      baselineWeeks: parseInt(env('API_55_BASELINE_WEEKS')) || 4,
+      
+      // Dias considerados nos modos business e all
+      baselineDays: parseInt(env('API_55_BASELINE_DAYS')) || 15,
+    },
+    
+    // Segurança do webhook (POST /webhook/55pbx)
+    webhook: {
+      // Token do webhook (separado do token da API; usa API_55_TOKEN se não definido)
+      token: env('API_55_WEBHOOK_TOKEN') || token,
+      
+      // Segredo HMAC-SHA256 (opcional) - quando definido, a assinatura é obrigatória
+      secret: env('API_55_WEBHOOK_SECRET') || '',
+      
+      // Headers da assinatura
+      signatureHeader: 'x-55pbx-signature',
+      timestampHeader: 'x-55pbx-timestamp',
+      nonceHeader: 'x-55pbx-nonce',
+      
+      // Janela de tolerância do timestamp (segundos)
+      tolerance: parseInt(env('API_55_WEBHOOK_TOLERANCE')) || 300,
+      
+      // IPs/CIDRs permitidos, separados por vírgula (vazio = qualquer origem)
+      allowlist: (env('API_55_WEBHOOK_ALLOWLIST') || '')
+        .split(',')
+        .map(ip => ip.trim())
+        .filter(Boolean),
+    },
+    
+    // Métricas de tempo e nível de serviço
+    metrics: {
+      // Limites de espera (segundos) do nível de serviço calculado pelas ligações
+      // do webhook: % atendidas em até N segundos (API_55_SLA_THRESHOLDS="20,60")
+      slaThresholds: (env('API_55_SLA_THRESHOLDS') || '20,60')
+        .split(',')
+        .map(value => parseInt(value))
+        .filter(value => value > 0)
+        .sort((a, b) => a - b),
+    },
+    
+    // Previsão de volume e dimensionamento (Erlang C)
+    forecast: {
+      // Semanas do mesmo dia da semana usadas na sazonalidade
+      weeks: parseInt(env('FORECAST_WEEKS')) || 6,
+      
+      // Dias mais recentes (entre os da base) usados na curva horária: cada dia
+      // ainda fora do histórico custa uma consulta por hora à 55PBX
+      profileDays: parseIntSetting(env('FORECAST_PROFILE_DAYS'), 4, 1),
+      
+      // Meta de nível de serviço: % atendidas em até N segundos
+      serviceLevelTarget: parseFloat(env('FORECAST_SL_TARGET')) || 80,
+      serviceLevelThreshold: parseInt(env('FORECAST_SL_THRESHOLD')) || 20,
+    },
+    
+    // Reconciliação webhook x report_01
+    reconciliation: {
+      // Diferença máxima aceitável por categoria (% do valor da API)
+      tolerance: parseFloat(env('RECONCILIATION_TOLERANCE')) || 5,
+    },
+    
+    // Simulador local (desenvolvimento e homologação, sem a API real)
+    simulator: {
+      enabled: simulatorEnabled,
+      
+      // Rota onde o CORE serve a API simulada (cada tenant também em /simulator/t/:tenant/55pbx)
+      path: simulatorPath,
+      
+      // Webhook do tenant que recebe as ligações simuladas
+      webhookUrl: `${localUrl}/webhook${tenantPrefix}/55pbx`,
+      
+      // Volume médio de um dia útil (todas as filas)
+      dailyVolume: parseInt(env('API_55_SIMULATOR_VOLUME')) || 400,
+      
+      // Semente dos volumes (mesma semente = mesmos números para o mesmo dia)
+      seed: env('API_55_SIMULATOR_SEED') || '55system',
+      
+      // Webhooks falsos disparados no webhook do tenant (ligações por minuto, 0 = desligado)
+      webhookRate: parseFloat(env('API_55_SIMULATOR_WEBHOOK_RATE')) || 0,
+    },
+    
+    // Filas acompanhadas individualmente (API_55_QUEUES="id:Nome,id2:Nome2")
+    queues: parseLabeledList(env('API_55_QUEUES')),
+    
+    // Agentes do ranking (API_55_AGENTS="id:Nome,id2:Nome2")
+    agents: parseLabeledList(env('API_55_AGENTS')),
+    
+    // Números (DIDs) rastreados por campanha (API_55_NUMBERS="numero:Campanha,...")
+    numbers: parseLabeledList(env('API_55_NUMBERS')),
+    
+    // Pesquisas de satisfação pós-atendimento (API_55_SURVEYS="quiz_id:Nome,...")
+    surveys: parseLabeledList(env('API_55_SURVEYS')),
+    
+    // Relatório de pesquisa (consultado com o filtro quiz_id)
+    survey: {
+      // Nome do relatório de pesquisa na 55PBX
+      report: env('API_55_SURVEY_REPORT') || 'report_quiz',
+      
+      // Escala das notas: nps (0 a 10) ou csat (1 a 5)
+      scale: env('API_55_SURVEY_SCALE') === 'csat' ? 'csat' : 'nps',
+    },
+    
+    // Fuso IANA (TIMEZONE) - o offset enviado no path é calculado por data
+    timezone: TIMEZONE,
+    
+    // Filtros padrão
+    defaultFilters: {
+      queue: 'all_queues',
+      number: 'all_numbers',
+      agent: 'all_agent',
+      report: 'report_01',
+      quiz_id: 'undefined',
+      interval: 'undefined',
+    },
+  };
+}
+
+// Configurações do tenant da execução atual (ver CORE/tenants.js)
+export const config = tenantScoped(createConfig);
+
 /**
  * Gera os headers de autenticação
  * A API 55PBX usa headers customizados
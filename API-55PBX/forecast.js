@@ -0,0 +1,238 @@
+/**
+ * API-55PBX - Previsão de Volume e Dimensionamento
+ *
+ * Prevê o volume de um dia (normalmente amanhã) hora a hora e recomenda
+ * quantos agentes são necessários em cada hora:
+ *
+ * - sazonalidade: média do mesmo dia da semana nas últimas FORECAST_WEEKS
+ *   semanas (sem feriados), com a curva horária dos FORECAST_PROFILE_DAYS
+ *   mais recentes desses dias
+ * - tendência: volume médio dos últimos 7 dias x os 7 dias anteriores
+ * - agentes: Erlang C com a meta de nível de serviço (FORECAST_SL_TARGET%
+ *   em até FORECAST_SL_THRESHOLD segundos) e o TMA da 55PBX
+ *
+ * A curva horária usa o volume hora a hora de cada dia (fetchHourlyData, no
+ * histórico permanente): depois da primeira consulta, nada volta à API.
+ */
+
+import { config } from './config.js';
+import { getDaysData, getBaselineDates, calculateDayKPIs, fetchHourlyData } from './service.js';
+import { createHolidayChecker } from '../CORE/calendar.js';
+import { zonedAddDays, zonedStartOfDay, toDateKey } from '../CORE/timezone.js';
+
+// Limites do fator de tendência: uma semana atípica não dobra a previsão
+const TREND_MIN = 0.8;
+const TREND_MAX = 1.2;
+
+// Dias de cada janela da tendência
+const TREND_WINDOW = 7;
+
+/**
+ * Probabilidade de espera (Erlang C)
+ * Calculada pela recursão de Erlang B, estável para tráfegos altos
+ * @param {number} agents - Agentes
+ * @param {number} erlangs - Tráfego oferecido (ligações x TMA / intervalo)
+ * @returns {number} Probabilidade (0 a 1) de a ligação esperar na fila
+ */
+export function erlangC(agents, erlangs) {
+  if (agents <= erlangs) return 1;
+
+  let erlangB = 1;
+  for (let n = 1; n <= agents; n++) {
+    erlangB = (erlangs * erlangB) / (n + erlangs * erlangB);
+  }
+
+  return (agents * erlangB) / (agents - erlangs * (1 - erlangB));
+}
+
+/**
+ * Nível de serviço esperado com N agentes
+ * @param {number} agents - Agentes
+ * @param {number} erlangs - Tráfego oferecido
+ * @param {number} aht - TMA em segundos
+ * @param {number} threshold - Limite de espera em segundos
+ * @returns {number} % atendidas em até threshold segundos
+ */
+export function serviceLevelFor(agents, erlangs, aht, threshold) {
+  if (erlangs === 0) return 100;
+  if (agents <= erlangs) return 0;
+
+  return (1 - erlangC(agents, erlangs) * Math.exp(-(agents - erlangs) * threshold / aht)) * 100;
+}
+
+/**
+ * Menor número de agentes que atinge a meta de nível de serviço
+ * @param {number} calls - Ligações no intervalo
+ * @param {number} aht - TMA em segundos
+ * @param {Object} target - { serviceLevel: %, threshold: segundos }
+ * @param {number} interval - Duração do intervalo em segundos (padrão: 1 hora)
+ * @returns {Object} Agentes, tráfego, nível de serviço, ocupação e espera média esperados
+ */
+export function requiredAgents(calls, aht, target, interval = 3600) {
+  if (calls <= 0) {
+    return { agents: 0, erlangs: 0, serviceLevel: 100, occupancy: 0, asa: 0 };
+  }
+
+  const erlangs = (calls * aht) / interval;
+  let agents = Math.max(Math.ceil(erlangs), 1);
+
+  while (serviceLevelFor(agents, erlangs, aht, target.threshold) < target.serviceLevel) {
+    agents++;
+  }
+
+  return {
+    agents,
+    erlangs: Math.round(erlangs * 100) / 100,
+    serviceLevel: Math.round(serviceLevelFor(agents, erlangs, aht, target.threshold)),
+    occupancy: Math.round((erlangs / agents) * 100),
+    asa: Math.round((erlangC(agents, erlangs) * aht) / (agents - erlangs)),
+  };
+}
+
+/**
+ * Curva horária média dos dias: fração do volume do dia em cada hora
+ * Usa o volume hora a hora de até FORECAST_PROFILE_DAYS dias (os mais recentes
+ * com ligações); só entram os dias com as 24 horas consultadas
+ * @param {Array<Date>} dates - Dias, do mais recente para o mais antigo
+ * @param {Array} fullDays - Resumos dos dias inteiros (mesma ordem)
+ * @returns {Promise<Array<number>>} 24 frações (soma 1) ou vazio sem dados
+ */
+async function fetchHourlyProfile(dates, fullDays) {
+  const profileDates = dates
+    .filter((date, index) => fullDays[index]?.total > 0)
+    .slice(0, config.forecast.profileDays);
+
+  const totals = new Array(24).fill(0);
+
+  for (const date of profileDates) {
+    const hourly = await fetchHourlyData(date);
+    if (!hourly?.complete || hourly.hours.length < 24) continue;
+
+    hourly.hours.forEach((hour, index) => {
+      totals[index] += hour.total;
+    });
+  }
+
+  const sum = totals.reduce((acc, value) => acc + value, 0);
+  return sum > 0 ? totals.map(value => value / sum) : [];
+}
+
+/**
+ * Tendência recente: volume médio dos últimos 7 dias x os 7 anteriores
+ * As duas janelas têm os mesmos dias da semana; feriados ficam de fora
+ * @param {Date} reference - Primeiro dia depois das janelas
+ * @param {Function} isHoliday - Verificador de feriados (createHolidayChecker)
+ * @returns {Promise<Object>} Fator (limitado) e médias das janelas
+ */
+async function fetchTrend(reference, isHoliday) {
+  const dates = Array.from({ length: TREND_WINDOW * 2 }, (_, i) => zonedAddDays(reference, -(i + 1)));
+  const days = await getDaysData(dates);
+
+  const mean = (from, to) => {
+    const valid = days.slice(from, to).filter((day, i) => day && !isHoliday(dates[from + i]));
+    return valid.length > 0 ? valid.reduce((sum, day) => sum + day.total, 0) / valid.length : 0;
+  };
+  const recent = mean(0, TREND_WINDOW);
+  const previous = mean(TREND_WINDOW, TREND_WINDOW * 2);
+
+  const ratio = recent > 0 && previous > 0 ? recent / previous : 1;
+
+  return {
+    factor: Math.round(Math.min(Math.max(ratio, TREND_MIN), TREND_MAX) * 1000) / 1000,
+    recent: Math.round(recent),
+    previous: Math.round(previous),
+  };
+}
+
+/**
+ * Prevê o volume de um dia hora a hora e recomenda os agentes por hora
+ * @param {Date} date - Dia previsto (padrão: amanhã)
+ * @param {Object} options - Sobrescreve a configuração
+ * @param {number} options.weeks - Semanas do mesmo dia da semana (FORECAST_WEEKS)
+ * @param {number} options.serviceLevel - Meta de nível de serviço em % (FORECAST_SL_TARGET)
+ * @param {number} options.threshold - Limite de espera em segundos (FORECAST_SL_THRESHOLD)
+ * @returns {Promise<Object|null>} Previsão ou null sem histórico
+ * @throws {PbxError} Em erros de autenticação ou com a API indisponível
+ */
+export async function forecastDay(date = zonedAddDays(new Date(), 1), options = {}) {
+  const target = {
+    serviceLevel: options.serviceLevel || config.forecast.serviceLevelTarget,
+    threshold: options.threshold || config.forecast.serviceLevelThreshold,
+  };
+  const dateKey = toDateKey(date);
+
+  console.log(`🔮 API-55PBX: Prevendo volume de ${dateKey}...`);
+
+  const isHoliday = await createHolidayChecker();
+  const holiday = isHoliday(date);
+  if (holiday) {
+    return { date: dateKey, holiday, total: 0, target, hours: [] };
+  }
+
+  // Só dias já encerrados entram (previsões de datas mais distantes)
+  const today = zonedStartOfDay(new Date());
+  const { dates: allDates, ...baseline } = await getBaselineDates(date, {
+    mode: 'weekday',
+    weeks: options.weeks || config.forecast.weeks,
+  });
+  const dates = allDates.filter(day => day < today);
+
+  const fullDays = await getDaysData(dates);
+  const withData = fullDays.filter(Boolean);
+  if (withData.length === 0) {
+    console.log('   ⚠️ Sem histórico para a previsão');
+    return null;
+  }
+
+  // Sazonalidade do dia da semana x tendência recente
+  const weekdayMean = withData.reduce((sum, day) => sum + day.total, 0) / withData.length;
+  const trend = await fetchTrend(date < today ? date : today, isHoliday);
+  const total = Math.round(weekdayMean * trend.factor);
+
+  // TMA: média dos mesmos dias; sem histórico de tempos, o TMA de hoje
+  const ahtDays = withData.filter(day => day.total > 0 && day.tma > 0);
+  let aht = ahtDays.length > 0
+    ? Math.round(ahtDays.reduce((sum, day) => sum + day.tma, 0) / ahtDays.length)
+    : null;
+  if (!aht) {
+    const kpis = await calculateDayKPIs();
+    aht = kpis.avgTalkTime || null;
+  }
+
+  const profile = await fetchHourlyProfile(dates, fullDays);
+
+  const hours = profile.map((share, hour) => {
+    const calls = Math.round(total * share);
+    const staffing = aht ? requiredAgents(calls, aht, target) : null;
+    return {
+      hour: `${String(hour).padStart(2, '0')}:00`,
+      calls,
+      ...(staffing || { agents: null }),
+    };
+  });
+
+  const peak = hours.reduce((max, h) => (h.agents > (max?.agents || 0) ? h : max), null);
+
+  console.log(`   🔮 Previsão: ~${total} ligações${peak ? ` | pico de ${peak.agents} agentes às ${peak.hour}` : ''}`);
+
+  return {
+    date: dateKey,
+    holiday: null,
+    total,
+    weekdayMean: Math.round(weekdayMean),
+    trend,
+    baseline: { ...baseline, days: withData.length },
+    aht,
+    target,
+    hours,
+    peak: peak ? { hour: peak.hour, agents: peak.agents, calls: peak.calls } : null,
+    lastUpdate: new Date().toISOString(),
+  };
+}
+
+export default {
+  erlangC,
+  serviceLevelFor,
+  requiredAgents,
+  forecastDay,
+};
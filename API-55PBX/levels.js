@@ -0,0 +1,142 @@
+/**
+ * API-55PBX - Faixas de Classificação
+ *
+ * Define, por métrica, como o valor de hoje é classificado frente à média
+ * histórica (classificarNivel): as faixas (% da média) com rótulo e emoji de
+ * cada uma. São os rótulos e emojis que dizem se a faixa é boa ou ruim.
+ *
+ * As definições padrão podem ser alteradas em /api/levels; as alterações ficam
+ * no DB-Reports do tenant (levels.json).
+ */
+
+import dbService from '../DB-Reports/service.js';
+
+// Faixas padrão: métricas em que um valor maior é melhor (volume, atendidas)
+// ou pior (abandono, espera)
+const DEFAULT_BANDS = {
+  higher_better: [
+    { below: 70, label: 'Abaixo do comum', emoji: '🔴' },
+    { below: 100, label: 'Médio', emoji: '🟡' },
+    { below: 130, label: 'Alto', emoji: '🟢' },
+    { label: 'Altíssimo', emoji: '🔥' },
+  ],
+  higher_worse: [
+    { below: 80, label: 'Abaixo do comum', emoji: '🟢' },
+    { below: 110, label: 'Normal', emoji: '🟡' },
+    { below: 130, label: 'Acima do comum', emoji: '🟠' },
+    { label: 'Crítico', emoji: '🔴' },
+  ],
+};
+
+// Definições padrão por métrica
+export const DEFAULT_LEVELS = {
+  total: { name: 'Volume total', bands: DEFAULT_BANDS.higher_better },
+  atendidas: { name: 'Atendidas', bands: DEFAULT_BANDS.higher_better },
+  abandonadas: { name: 'Abandonadas', bands: DEFAULT_BANDS.higher_worse },
+  retidasURA: { name: 'Retidas na URA', bands: DEFAULT_BANDS.higher_worse },
+  nivelServico: {
+    name: 'Nível de serviço',
+    // Nível de serviço varia pouco: 90% da média já é uma queda séria
+    bands: [
+      { below: 90, label: 'Crítico', emoji: '🔴' },
+      { below: 97, label: 'Abaixo do comum', emoji: '🟠' },
+      { below: 103, label: 'Normal', emoji: '🟡' },
+      { label: 'Acima do comum', emoji: '🟢' },
+    ],
+  },
+  tme: { name: 'TME (espera)', bands: DEFAULT_BANDS.higher_worse },
+  tma: { name: 'TMA (atendimento)', bands: DEFAULT_BANDS.higher_worse },
+};
+
+/**
+ * Valida e normaliza a definição de uma métrica
+ * Faixas em ordem crescente; cada uma vale até "below" (% da média, exclusivo)
+ * e a última não tem limite
+ * @param {Object} input - { bands }
+ * @returns {{definition?: Object, error?: string}}
+ */
+export function normalizeLevelDefinition(input = {}) {
+  const { bands } = input;
+  if (!Array.isArray(bands) || bands.length < 2 || bands.length > 8) {
+    return { error: 'bands deve ter de 2 a 8 faixas' };
+  }
+
+  const normalized = [];
+  for (let i = 0; i < bands.length; i++) {
+    const band = bands[i] || {};
+    const label = String(band.label || '').trim();
+    if (!label) {
+      return { error: `Faixa ${i + 1} sem label` };
+    }
+
+    const isLast = i === bands.length - 1;
+    if (isLast) {
+      normalized.push({ label, emoji: String(band.emoji || '').trim() });
+      continue;
+    }
+
+    const below = Number(band.below);
+    if (!Number.isFinite(below) || below <= 0 || (i > 0 && below <= normalized[i - 1].below)) {
+      return { error: `Faixa ${i + 1}: below deve ser um % maior que zero e maior que o da faixa anterior` };
+    }
+    normalized.push({ below, label, emoji: String(band.emoji || '').trim() });
+  }
+
+  return { definition: { bands: normalized } };
+}
+
+/**
+ * Definições de todas as métricas (padrão + alterações gravadas)
+ * @returns {Promise<Object>} Métrica -> { name, bands, custom }
+ */
+export async function getLevels() {
+  const stored = await dbService.getLevelDefinitions();
+  const levels = {};
+
+  Object.entries(DEFAULT_LEVELS).forEach(([metric, definition]) => {
+    const custom = stored[metric];
+    levels[metric] = custom
+      ? { name: definition.name, bands: custom.bands, custom: true, updatedAt: custom.updatedAt }
+      : { ...definition, custom: false };
+  });
+
+  return levels;
+}
+
+/**
+ * Altera a definição de uma métrica
+ * @param {string} metric - Métrica (chave de DEFAULT_LEVELS)
+ * @param {Object} input - { bands }
+ * @returns {Promise<{level?: Object, error?: string, notFound?: boolean}>}
+ */
+export async function setLevel(metric, input) {
+  if (!DEFAULT_LEVELS[metric]) {
+    return { notFound: true, error: `Métrica inválida (use ${Object.keys(DEFAULT_LEVELS).join(', ')})` };
+  }
+
+  const { definition, error } = normalizeLevelDefinition(input);
+  if (error) return { error };
+
+  const saved = await dbService.saveLevelDefinition(metric, definition);
+  if (!saved) return { error: 'Falha ao gravar a classificação' };
+
+  const { bands, updatedAt } = saved;
+  return { level: { name: DEFAULT_LEVELS[metric].name, bands, custom: true, updatedAt } };
+}
+
+/**
+ * Volta uma métrica para a definição padrão
+ * @param {string} metric - Métrica
+ * @returns {Promise<boolean>} True se havia uma definição personalizada
+ */
+export async function resetLevel(metric) {
+  return dbService.removeLevelDefinition(metric);
+}
+
+export default {
+  DEFAULT_LEVELS,
+  normalizeLevelDefinition,
+  getLevels,
+  setLevel,
+  resetLevel,
+};
@@ -0,0 +1,178 @@
+/**
+ * API-55PBX - Métricas de Tempo
+ *
+ * Nível de serviço, TME (ASA - espera média até o atendimento), TMA (AHT -
+ * duração média do atendimento) e tempo médio até o abandono, sempre como
+ * números (segundos e %).
+ *
+ * - report_01: TME, TMA e o nível de serviço no limite configurado no PABX
+ * - ligações do webhook (DB-Reports): nível de serviço em cada limite de
+ *   API_55_SLA_THRESHOLDS e tempo médio até o abandono
+ *
+ * O resumo das ligações do webhook vai para o histórico permanente
+ * (namespace time_metrics) quando o dia fecha, para as médias históricas.
+ */
+
+import { config, CALL_TYPES } from './config.js';
+import dbService from '../DB-Reports/service.js';
+import { toDateKey, formatZoned } from '../CORE/timezone.js';
+
+// Namespace do histórico permanente com os tempos calculados pelo webhook
+export const TIME_METRICS_NAMESPACE = 'time_metrics';
+
+/**
+ * Média dos valores numéricos de uma lista (ignora ausentes)
+ * @param {Array} values - Valores
+ * @returns {number|null} Média arredondada ou null se não houver valores
+ */
+function mean(values) {
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (numbers.length === 0) return null;
+  return Math.round(numbers.reduce((sum, value) => sum + value, 0) / numbers.length);
+}
+
+/**
+ * Calcula os tempos a partir das ligações individuais (webhook)
+ * Nível de serviço = atendidas em até N segundos / (atendidas + abandonadas na fila);
+ * ligações retidas na URA não chegaram à fila e ficam de fora, assim como as
+ * ativas e os SMS (mesmo critério da reconciliação: só receptivas)
+ * @param {Array} calls - Ligações armazenadas no DB-Reports
+ * @param {Array<number>} thresholds - Limites de espera em segundos
+ * @returns {Object|null} Tempos ou null sem ligações finalizadas
+ */
+export function summarizeCallTimes(calls, thresholds = config.metrics.slaThresholds) {
+  const finished = calls.filter(call => call.state !== 'in_progress'
+    && (!call.call_type || call.call_type === CALL_TYPES.inbound));
+  const answered = finished.filter(call => call.classification === 'answered');
+  const abandoned = finished.filter(call => call.classification === 'abandoned');
+  const offered = answered.length + abandoned.length;
+
+  if (offered === 0) return null;
+
+  return {
+    calls: offered,
+    serviceLevels: thresholds.map(threshold => ({
+      threshold,
+      percent: Math.round((answered.filter(call => (call.call_time_waiting || 0) <= threshold).length / offered) * 100),
+    })),
+    asa: mean(answered.map(call => call.call_time_waiting || 0)),
+    aht: mean(answered.map(call => call.call_duration || 0)),
+    avgAbandonTime: mean(abandoned.map(call => call.call_time_waiting || 0)),
+  };
+}
+
+/**
+ * Tempos das ligações recebidas via webhook em um dia
+ * @param {Date} date - Dia (padrão: hoje)
+ * @param {Object} filters - Filtros (apenas queue é considerado)
+ * @returns {Promise<Object|null>} Tempos ou null sem ligações
+ */
+export async function getCallTimeMetrics(date = new Date(), filters = {}) {
+  const calls = await dbService.getTodayCalls(date);
+  const filtered = filters.queue ? calls.filter(call => call.call_queue === filters.queue) : calls;
+  return summarizeCallTimes(filtered);
+}
+
+/**
+ * Monta as métricas de tempo a partir dos KPIs do report_01 e dos tempos do webhook
+ * O report_01 prevalece; o webhook completa os limites e o tempo até o abandono
+ * @param {Object} kpis - KPIs normalizados (calculateDayKPIs)
+ * @param {Object} callTimes - Tempos do webhook (summarizeCallTimes) ou null
+ * @returns {Object} Métricas de tempo
+ */
+export function buildTimeMetrics(kpis = {}, callTimes = null) {
+  return {
+    // % no limite do PABX (sla_attendance)
+    serviceLevel: kpis.serviceLevel ?? null,
+    // % em cada limite de API_55_SLA_THRESHOLDS
+    serviceLevels: callTimes?.serviceLevels || [],
+    asa: kpis.avgWaitTime ?? callTimes?.asa ?? null,
+    aht: kpis.avgTalkTime ?? callTimes?.aht ?? null,
+    avgAbandonTime: callTimes?.avgAbandonTime ?? null,
+    // Ligações do webhook usadas nos limites e no tempo até o abandono
+    sample: callTimes?.calls || 0,
+  };
+}
+
+/**
+ * Calcula as métricas de tempo de um dia
+ * @param {Object} kpis - KPIs do dia (calculateDayKPIs)
+ * @param {Object} filters - Filtros usados nos KPIs (ex: { queue: '123' })
+ * @param {Date} date - Dia (padrão: hoje)
+ * @returns {Promise<Object>} Métricas de tempo
+ */
+export async function calculateTimeMetrics(kpis, filters = {}, date = new Date()) {
+  return buildTimeMetrics(kpis, await getCallTimeMetrics(date, filters));
+}
+
+/**
+ * Grava no histórico permanente os tempos do webhook de um dia fechado
+ * As ligações do webhook expiram do DB-Reports; sem isso não haveria média
+ * @param {Date} date - Dia (normalmente ontem)
+ * @returns {Promise<Object|null>} Registro gravado ou null sem ligações
+ */
+export async function saveDayTimeMetrics(date) {
+  try {
+    const callTimes = await getCallTimeMetrics(date);
+    if (!callTimes) return null;
+
+    const record = { date: formatZoned(date, 'dd/MM/yyyy'), ...callTimes };
+    await dbService.saveHistoryDays({ [toDateKey(date)]: record }, TIME_METRICS_NAMESPACE);
+
+    console.log(`⏱️  API-55PBX: Tempos de ${toDateKey(date)} gravados no histórico (${callTimes.calls} ligações)`);
+    return record;
+  } catch (error) {
+    console.error('❌ API-55PBX: Erro ao gravar tempos do dia:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Busca os tempos do webhook gravados no histórico
+ * @param {Array<Date>} dates - Dias
+ * @returns {Promise<Array>} Registros encontrados
+ */
+export async function getTimeMetricsHistory(dates) {
+  const keys = dates.map(date => toDateKey(date));
+  const stored = await dbService.getHistoryDays(keys, TIME_METRICS_NAMESPACE);
+  return keys.map(key => stored[key]).filter(Boolean);
+}
+
+/**
+ * Calcula as médias históricas das métricas de tempo
+ * Dias sem ligações (ou gravados antes das métricas de tempo, ou sem os campos
+ * no report_01) ficam de fora
+ * @param {Array} days - Resumos diários do report_01 (nivelServico, tme, tma)
+ * @param {Array} callDays - Tempos do webhook gravados (getTimeMetricsHistory)
+ * @returns {Object} Médias no mesmo formato de buildTimeMetrics
+ */
+export function averageTimeMetrics(days, callDays = []) {
+  const withTimes = days.filter(day => day.total > 0
+    && [day.nivelServico, day.tme, day.tma].some(value => typeof value === 'number'));
+
+  return {
+    serviceLevel: mean(withTimes.map(day => day.nivelServico)),
+    serviceLevels: config.metrics.slaThresholds
+      .map(threshold => ({
+        threshold,
+        percent: mean(callDays.map(day => day.serviceLevels?.find(level => level.threshold === threshold)?.percent)),
+      }))
+      .filter(level => level.percent !== null),
+    asa: mean(withTimes.map(day => day.tme)),
+    aht: mean(withTimes.map(day => day.tma)),
+    avgAbandonTime: mean(callDays.map(day => day.avgAbandonTime)),
+    dias: withTimes.length,
+    diasWebhook: callDays.length,
+  };
+}
+
+export default {
+  TIME_METRICS_NAMESPACE,
+  summarizeCallTimes,
+  getCallTimeMetrics,
+  buildTimeMetrics,
+  calculateTimeMetrics,
+  saveDayTimeMetrics,
+  getTimeMetricsHistory,
+  averageTimeMetrics,
+};
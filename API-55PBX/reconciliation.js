@@ -0,0 +1,137 @@
+/**
+ * API-55PBX - Reconciliação
+ * 
+ * Compara as ligações armazenadas via webhook (DB-Reports) com o
+ * agregado do report_01 para um mesmo dia
+ */
+
+import { config, CALL_TYPES } from './config.js';
+import { fetchDayData } from './service.js';
+import dbService from '../DB-Reports/service.js';
+import websocket from '../CORE/websocket.js';
+import { toDateKey, isZonedToday } from '../CORE/timezone.js';
+
+// Categorias comparadas (mesmas do report_01, apenas receptivas)
+const CATEGORIES = {
+  atendidas: 'answered',
+  abandonadas: 'abandoned',
+  retidasURA: 'retained_ura',
+};
+
+/**
+ * Conta as ligações armazenadas via webhook por categoria
+ * Considera apenas ligações receptivas finalizadas
+ * @param {Date} date - Dia de referência
+ * @returns {Promise<Object>} Contagem por categoria
+ */
+async function countStoredCalls(date) {
+  const calls = await dbService.getTodayCalls(date);
+  const counts = { atendidas: 0, abandonadas: 0, retidasURA: 0, total: 0, inProgress: 0 };
+  
+  calls
+    .filter(call => !call.call_type || call.call_type === CALL_TYPES.inbound)
+    .forEach(call => {
+      if (call.state === 'in_progress') {
+        counts.inProgress++;
+        return;
+      }
+      
+      const category = Object.keys(CATEGORIES).find(key => CATEGORIES[key] === call.classification);
+      if (category) {
+        counts[category]++;
+        counts.total++;
+      }
+    });
+  
+  return counts;
+}
+
+/**
+ * Compara um valor do webhook com o da API
+ * @param {number} webhook - Valor armazenado via webhook
+ * @param {number} api - Valor do report_01
+ * @param {number} tolerance - Tolerância (%)
+ * @returns {Object} Diferença
+ */
+function compare(webhook, api, tolerance) {
+  const diff = webhook - api;
+  const diffPct = api > 0 ? Math.round((diff / api) * 1000) / 10 : (diff === 0 ? 0 : 100);
+  
+  return {
+    webhook,
+    api,
+    diff,
+    diffPct,
+    withinTolerance: Math.abs(diffPct) <= tolerance,
+  };
+}
+
+/**
+ * Reconcilia os dados de um dia
+ * @param {Date} date - Dia de referência (padrão: hoje)
+ * @returns {Promise<Object>} Resultado da reconciliação
+ */
+export async function reconcileDay(date = new Date()) {
+  const tolerance = config.reconciliation.tolerance;
+  const dateStr = toDateKey(date);
+  
+  console.log(`🔍 API-55PBX: Reconciliando ${dateStr} (tolerância ${tolerance}%)...`);
+  
+  const [stored, aggregate] = await Promise.all([
+    countStoredCalls(date),
+    fetchDayData(date),
+  ]);
+  
+  if (!aggregate) {
+    return {
+      date: dateStr,
+      tolerance,
+      webhook: stored,
+      api: null,
+      differences: null,
+      withinTolerance: null,
+      erro: 'Sem dados da API para comparação',
+      checkedAt: new Date().toISOString(),
+    };
+  }
+  
+  const differences = {};
+  [...Object.keys(CATEGORIES), 'total'].forEach(category => {
+    differences[category] = compare(stored[category], aggregate[category], tolerance);
+  });
+  
+  const divergent = Object.keys(differences).filter(category => !differences[category].withinTolerance);
+  
+  const result = {
+    date: dateStr,
+    tolerance,
+    webhook: stored,
+    api: {
+      atendidas: aggregate.atendidas,
+      abandonadas: aggregate.abandonadas,
+      retidasURA: aggregate.retidasURA,
+      total: aggregate.total,
+    },
+    differences,
+    withinTolerance: divergent.length === 0,
+    // Ligações em andamento ainda não entram no agregado do dia
+    partial: isZonedToday(date) && stored.inProgress > 0,
+    checkedAt: new Date().toISOString(),
+  };
+  
+  if (divergent.length > 0) {
+    const detalhes = divergent
+      .map(category => `${category}: webhook ${differences[category].webhook} x API ${differences[category].api} (${differences[category].diffPct}%)`)
+      .join(' | ');
+    console.warn(`⚠️  Reconciliação ${dateStr}: divergência acima de ${tolerance}% - ${detalhes}`);
+    websocket.broadcastLog(`⚠️ Reconciliação ${dateStr}: ${detalhes}`, 'warning');
+  } else {
+    console.log(`   ✅ Reconciliação ${dateStr}: dentro da tolerância`);
+  }
+  
+  return result;
+}
+
+export default {
+  reconcileDay,
+};
@@ -0,0 +1,265 @@
+/**
+ * API-55PBX - Catálogo de Relatórios
+ *
+ * Registro dos tipos de relatório da API de métricas da 55PBX.
+ * Cada relatório define seus path params (report, quiz_id, interval)
+ * e um parser que converte a resposta em um formato normalizado.
+ */
+
+import { config } from './config.js';
+
+// Relatórios registrados (nome -> definição)
+const catalog = new Map();
+
+// Relatório usado quando nenhum é informado
+export const DEFAULT_REPORT = 'report_01';
+
+/**
+ * Converte um valor em segundos (aceita número, string numérica ou "HH:MM:SS")
+ * @param {number|string} value - Valor recebido
+ * @returns {number} Segundos
+ */
+export function toSeconds(value) {
+  if (value === undefined || value === null || value === '') return 0;
+
+  const str = String(value);
+  if (str.includes(':')) {
+    return str.split(':').reduce((total, part) => total * 60 + (parseInt(part) || 0), 0);
+  }
+
+  return parseInt(str) || 0;
+}
+
+/**
+ * Converte um valor em segundos, mantendo null quando o campo não veio
+ * (permite que os tempos do webhook sejam usados no lugar)
+ * @param {number|string} value - Valor recebido
+ * @returns {number|null} Segundos ou null
+ */
+function toSecondsOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return toSeconds(value);
+}
+
+/**
+ * Converte um percentual em número (aceita número ou string "87%" / "87,5%")
+ * @param {number|string} value - Valor recebido
+ * @returns {number|null} Percentual ou null se ausente
+ */
+export function toPercent(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const number = parseFloat(String(value).replace('%', '').replace(',', '.'));
+  return isNaN(number) ? null : Math.round(number * 10) / 10;
+}
+
+/**
+ * Registra um tipo de relatório
+ * @param {string} name - Nome do relatório no catálogo
+ * @param {Object} definition - Definição
+ * @param {string} definition.description - Descrição
+ * @param {Object|Function} definition.params - Path params ({ report, quiz_id, interval }) ou
+ *   função que os retorna (lida a cada requisição, com a configuração do tenant atual)
+ * @param {Function} definition.parse - (data) => métricas normalizadas
+ * @param {Function} [definition.daily] - (métricas) => resumo diário para o histórico
+ */
+export function registerReport(name, definition) {
+  catalog.set(name, {
+    name,
+    description: definition.description || '',
+    get params() {
+      const params = typeof definition.params === 'function' ? definition.params() : definition.params;
+      return {
+        quiz_id: 'undefined',
+        interval: 'undefined',
+        ...params,
+      };
+    },
+    parse: definition.parse,
+    daily: definition.daily || (metrics => metrics),
+  });
+}
+
+/**
+ * Busca a definição de um relatório
+ * @param {string} name - Nome do relatório (padrão: report_01)
+ * @returns {Object} Definição
+ * @throws {Error} Se o relatório não estiver registrado
+ */
+export function getReport(name = DEFAULT_REPORT) {
+  const definition = catalog.get(name);
+  if (!definition) {
+    throw new Error(`Relatório não registrado: ${name}`);
+  }
+  return definition;
+}
+
+/**
+ * Lista os relatórios registrados
+ * @returns {Array<{name: string, description: string, params: Object}>}
+ */
+export function listReports() {
+  return Array.from(catalog.values()).map(({ name, description, params }) => ({ name, description, params }));
+}
+
+// =============================================
+// report_01 - Métricas macro (ligações receptivas)
+// =============================================
+
+registerReport('report_01', {
+  description: 'Métricas macro de ligações receptivas',
+  params: { report: 'report_01' },
+
+  parse(data) {
+    // APENAS LIGAÇÕES DE ENTRADA (RECEPTIVAS):
+    const answered = parseInt(data?.totalCallAttendedReceptive || 0);   // Atendidas receptivas
+    const abandoned = parseInt(data?.totalCallAbandonedQueue || 0);     // Abandonadas na fila
+    const retainedURA = parseInt(data?.totalCallAbandonedURA || 0);     // Retidas/abandonadas na URA
+
+    return {
+      // Total = soma das 3 categorias (apenas entrada)
+      totalCalls: answered + abandoned + retainedURA,
+      answered,
+      abandoned,
+      retainedURA,
+      other: 0,
+      // Sem pico no report_01: calculateDayKPIs (options.hourly) preenche pela curva horária
+      peakHour: null,
+      // Tempo médio de espera (formato "00:00:06" -> segundos); null se o campo não veio
+      avgWaitTime: toSecondsOrNull(data?.timeMediumWaitingAttendance),
+      avgTalkTime: toSecondsOrNull(data?.timeMediumDurationCall),
+      // Nível de serviço da 55PBX ("87%" -> 87), no limite configurado no PABX; null se não veio
+      serviceLevel: toPercent(data?.sla_attendance),
+      // Formatos originais (mantidos para compatibilidade)
+      slaAttendance: data?.sla_attendance || '0%',
+      timeMediumDuration: data?.timeMediumDurationCall || '00:00:00',
+    };
+  },
+
+  daily(metrics) {
+    return {
+      atendidas: metrics.answered,
+      abandonadas: metrics.abandoned,
+      retidasURA: metrics.retainedURA,
+      total: metrics.totalCalls,
+      // Tempos em segundos e nível de serviço em %
+      nivelServico: metrics.serviceLevel,
+      tme: metrics.avgWaitTime,
+      tma: metrics.avgTalkTime,
+    };
+  },
+});
+
+// =============================================
+// survey - Pesquisa pós-atendimento (filtro quiz_id)
+// =============================================
+
+// Faixa de notas de cada escala
+export const SURVEY_SCALES = {
+  nps: { min: 0, max: 10 },
+  csat: { min: 1, max: 5 },
+};
+
+/**
+ * Extrai a distribuição de notas da resposta da pesquisa
+ * Aceita a lista de respostas (score/note/nota/answer) ou um mapa nota -> quantidade
+ * @param {Object|Array} data - Resposta da API
+ * @returns {Object} Quantidade de respostas por nota
+ */
+function extractDistribution(data) {
+  const distribution = {};
+  
+  const add = (score, count = 1) => {
+    const nota = parseInt(score);
+    if (!isNaN(nota)) {
+      distribution[nota] = (distribution[nota] || 0) + count;
+    }
+  };
+  
+  const list = Array.isArray(data) ? data : (data?.answers || data?.responses || data?.data);
+  
+  if (Array.isArray(list)) {
+    list.forEach(item => {
+      add(item && typeof item === 'object'
+        ? item.score ?? item.note ?? item.nota ?? item.answer ?? item.resposta
+        : item);
+    });
+  } else if (data?.distribution && typeof data.distribution === 'object') {
+    Object.entries(data.distribution).forEach(([score, count]) => add(score, parseInt(count) || 0));
+  }
+  
+  return distribution;
+}
+
+/**
+ * Calcula os indicadores de uma distribuição de notas
+ * NPS (escala 0-10): % promotores (9-10) - % detratores (0-6)
+ * CSAT: % de respostas nas duas notas mais altas da escala
+ * @param {Object} distribution - Quantidade de respostas por nota
+ * @param {string} scale - nps | csat (padrão: API_55_SURVEY_SCALE)
+ * @returns {Object} Respostas, distribuição, média, NPS e CSAT
+ */
+export function summarizeSurvey(distribution = {}, scale = config.survey.scale) {
+  const { min, max } = SURVEY_SCALES[scale] || SURVEY_SCALES.nps;
+  const full = {};
+  let responses = 0;
+  let sum = 0;
+  let promoters = 0;
+  let detractors = 0;
+  let satisfied = 0;
+  
+  // Notas fora da escala são ignoradas
+  for (let nota = min; nota <= max; nota++) {
+    const count = parseInt(distribution[nota]) || 0;
+    full[nota] = count;
+    responses += count;
+    sum += nota * count;
+    if (nota >= 9) promoters += count;
+    if (nota <= 6) detractors += count;
+    if (nota >= max - 1) satisfied += count;
+  }
+  
+  const pct = (value) => Math.round((value / responses) * 100);
+  
+  return {
+    scale,
+    responses,
+    distribution: full,
+    average: responses > 0 ? Math.round((sum / responses) * 10) / 10 : null,
+    nps: scale === 'nps' && responses > 0 ? pct(promoters - detractors) : null,
+    promoters: scale === 'nps' ? promoters : null,
+    detractors: scale === 'nps' ? detractors : null,
+    csat: responses > 0 ? pct(satisfied) : null,
+  };
+}
+
+registerReport('survey', {
+  description: 'Pesquisa de satisfação pós-atendimento (filtro quiz_id)',
+  // ID do relatório de pesquisa é do tenant: resolvido a cada requisição
+  params: () => ({ report: config.survey.report }),
+  
+  parse(data) {
+    return summarizeSurvey(extractDistribution(data));
+  },
+  
+  daily(metrics) {
+    return {
+      respostas: metrics.responses,
+      distribuicao: metrics.distribution,
+      media: metrics.average,
+      nps: metrics.nps,
+      csat: metrics.csat,
+    };
+  },
+});
+
+export default {
+  DEFAULT_REPORT,
+  SURVEY_SCALES,
+  toSeconds,
+  toPercent,
+  summarizeSurvey,
+  registerReport,
+  getReport,
+  listReports,
+};
@@ -0,0 +1,258 @@
+/**
+ * API-55PBX - Segurança do Webhook
+ * 
+ * Validação de token, assinatura HMAC, proteção contra replay
+ * e lista de IPs permitidos para o POST /webhook/55pbx
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import { config } from './config.js';
+import { tenantScoped } from '../CORE/tenants.js';
+
+// Assinaturas já utilizadas (assinatura -> expiração em ms)
+const usedSignatures = new Map();
+
+// Contadores de webhooks aceitos e rejeitados (por tenant)
+const stats = tenantScoped(() => ({
+  accepted: 0,
+  rejected: 0,
+  rejectedByReason: {},
+  lastRejection: null,
+}));
+
+/**
+ * Compara duas strings em tempo constante
+ * Os valores são convertidos em hash para terem o mesmo tamanho
+ * @param {string} a - Valor recebido
+ * @param {string} b - Valor esperado
+ * @returns {boolean}
+ */
+export function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || !b) {
+    return false;
+  }
+  
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Converte um IPv4 em inteiro
+ * @param {string} ip - Endereço IPv4
+ * @returns {number}
+ */
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, octet) => (acc << 8) + parseInt(octet), 0) >>> 0;
+}
+
+/**
+ * Remove o prefixo IPv4-mapped (::ffff:1.2.3.4)
+ * @param {string} ip - Endereço IP
+ * @returns {string}
+ */
+function normalizeIp(ip) {
+  return (ip || '').replace(/^::ffff:/i, '');
+}
+
+/**
+ * Verifica se um IP pertence a uma entrada da allowlist (IP ou CIDR)
+ * @param {string} ip - Endereço de origem
+ * @param {string} entry - IP ou CIDR (ex: 200.10.0.0/16)
+ * @returns {boolean}
+ */
+export function ipMatches(ip, entry) {
+  const address = normalizeIp(ip);
+  const [range, bitsStr] = entry.split('/');
+  
+  if (!bitsStr) {
+    return address === normalizeIp(range);
+  }
+  
+  if (!net.isIPv4(address) || !net.isIPv4(range)) {
+    return false;
+  }
+  
+  const bits = parseInt(bitsStr);
+  if (isNaN(bits) || bits < 0 || bits > 32) {
+    return false;
+  }
+  
+  const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  return (ipv4ToInt(address) & mask) === (ipv4ToInt(range) & mask);
+}
+
+/**
+ * Verifica se o IP de origem é permitido
+ * @param {string} ip - Endereço de origem
+ * @returns {boolean}
+ */
+export function isIpAllowed(ip) {
+  const { allowlist } = config.webhook;
+  if (allowlist.length === 0) {
+    return true;
+  }
+  return allowlist.some(entry => ipMatches(ip, entry));
+}
+
+/**
+ * Extrai o token enviado (header token ou Authorization, com ou sem "Bearer")
+ * @param {Object} headers - Headers da requisição
+ * @returns {string}
+ */
+function getReceivedToken(headers) {
+  const token = headers['token'] || headers['authorization'] || '';
+  return String(token).replace(/^Bearer\s+/i, '');
+}
+
+/**
+ * Verifica o token do webhook (header token ou Authorization)
+ * Usado também para proteger as rotas administrativas do webhook
+ * @param {Object} req - Requisição Express
+ * @returns {boolean}
+ */
+export function hasValidToken(req) {
+  return safeCompare(getReceivedToken(req.headers), config.webhook.token);
+}
+
+/**
+ * Calcula a assinatura esperada: HMAC-SHA256 de "<timestamp>.<corpo bruto>"
+ * ou, com nonce, de "<timestamp>.<nonce>.<corpo bruto>"
+ * @param {string} timestamp - Timestamp enviado
+ * @param {Buffer|string} rawBody - Corpo bruto da requisição
+ * @param {string} nonce - Nonce enviado (opcional)
+ * @returns {string} Assinatura em hex
+ */
+export function computeSignature(timestamp, rawBody, nonce = '') {
+  return crypto
+    .createHmac('sha256', config.webhook.secret)
+    .update(nonce ? `${timestamp}.${nonce}.` : `${timestamp}.`)
+    .update(rawBody || '')
+    .digest('hex');
+}
+
+/**
+ * Remove assinaturas expiradas da memória
+ */
+function pruneSignatures() {
+  const now = Date.now();
+  usedSignatures.forEach((expiresAt, signature) => {
+    if (expiresAt < now) {
+      usedSignatures.delete(signature);
+    }
+  });
+}
+
+/**
+ * Valida assinatura, timestamp e nonce
+ * @param {Object} req - Requisição Express (com req.rawBody)
+ * @returns {string|null} Motivo da rejeição ou null se válido
+ */
+function checkSignature(req) {
+  const { signatureHeader, timestampHeader, nonceHeader, tolerance } = config.webhook;
+  
+  const signature = String(req.headers[signatureHeader] || '').replace(/^sha256=/i, '');
+  const timestamp = String(req.headers[timestampHeader] || '');
+  
+  if (!signature || !timestamp) {
+    return 'missing_signature';
+  }
+  
+  // Aceita timestamp em segundos ou milissegundos
+  const tsSeconds = timestamp.length > 10 ? Math.floor(parseInt(timestamp) / 1000) : parseInt(timestamp);
+  if (isNaN(tsSeconds) || Math.abs(Date.now() / 1000 - tsSeconds) > tolerance) {
+    return 'stale_timestamp';
+  }
+  
+  const nonce = String(req.headers[nonceHeader] || '');
+  if (!safeCompare(signature, computeSignature(timestamp, req.rawBody, nonce))) {
+    return 'invalid_signature';
+  }
+  
+  // A chave do replay é sempre a assinatura (cobre timestamp, nonce e corpo):
+  // trocar o nonce de uma requisição capturada invalida a assinatura
+  const replayKey = signature.toLowerCase();
+  pruneSignatures();
+  if (usedSignatures.has(replayKey)) {
+    return 'replayed_nonce';
+  }
+  usedSignatures.set(replayKey, Date.now() + tolerance * 2 * 1000);
+  
+  return null;
+}
+
+/**
+ * Registra uma rejeição nos contadores
+ * @param {string} reason - Motivo
+ * @param {string} ip - IP de origem
+ */
+function recordRejection(reason, ip) {
+  stats.rejected++;
+  stats.rejectedByReason[reason] = (stats.rejectedByReason[reason] || 0) + 1;
+  stats.lastRejection = {
+    reason,
+    ip,
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Valida uma requisição de webhook
+ * Ordem: IP de origem -> assinatura HMAC (se houver segredo) ou token
+ * @param {Object} req - Requisição Express
+ * @returns {{valid: boolean, status?: number, reason?: string}} Resultado
+ */
+export function verifyWebhookRequest(req) {
+  const { token, secret } = config.webhook;
+  const ip = normalizeIp(req.ip);
+  
+  let reason = null;
+  let status = 401;
+  
+  if (!isIpAllowed(ip)) {
+    reason = 'ip_not_allowed';
+    status = 403;
+  } else if (!token && !secret) {
+    reason = 'not_configured';
+    status = 503;
+  } else if (secret) {
+    reason = checkSignature(req);
+  } else if (!hasValidToken(req)) {
+    reason = 'invalid_token';
+  }
+  
+  if (reason) {
+    recordRejection(reason, ip);
+    return { valid: false, status, reason };
+  }
+  
+  stats.accepted++;
+  return { valid: true };
+}
+
+/**
+ * Retorna os contadores do webhook
+ * @returns {Object} Estatísticas
+ */
+export function getWebhookStats() {
+  return {
+    accepted: stats.accepted,
+    rejected: stats.rejected,
+    rejectedByReason: { ...stats.rejectedByReason },
+    lastRejection: stats.lastRejection,
+    signatureRequired: !!config.webhook.secret,
+    allowlist: config.webhook.allowlist.length > 0,
+  };
+}
+
+export default {
+  safeCompare,
+  ipMatches,
+  isIpAllowed,
+  hasValidToken,
+  computeSignature,
+  verifyWebhookRequest,
+  getWebhookStats,
+};
@@ -4,9 +4,31 @@
  * Busca dados de ligações via API REST da 55PBX
  */
 
-import axios from 'axios';
-import { format, startOfDay, endOfDay, subDays } from 'date-fns';
-import { config, getAuthHeaders, isConfigured } from './config.js';
+import { addHours } from 'date-fns';
+import { config, isConfigured, BASELINE_MODES } from './config.js';
+import client, { PbxError, isFatalError } from './client.js';
+import { safeCompare } from './security.js';
+import { DEFAULT_REPORT, getReport, toSeconds, summarizeSurvey } from './reports.js';
+import { calculateTimeMetrics, getTimeMetricsHistory, averageTimeMetrics } from './metrics.js';
+import { DEFAULT_LEVELS, getLevels } from './levels.js';
+import dbService from '../DB-Reports/service.js';
+import { getTenantId } from '../CORE/tenants.js';
+import { createHolidayChecker } from '../CORE/calendar.js';
+import {
+  zonedStartOfDay,
+  zonedEndOfDay,
+  zonedAddDays,
+  zonedHour,
+  zonedDay,
+  zonedDate,
+  getZonedParts,
+  formatZoned,
+  formatOffset,
+  formatOffsetHours,
+  toDateKey,
+  parseZonedDateTime,
+  formatDateTimeBR,
+} from '../CORE/timezone.js';
 
 // Importa websocket para logs em tempo real (lazy load para evitar circular)
 let websocket = null;
@@ -30,151 +52,114 @@ async function sendLog(message, level = 'info') {
   }
 }
 
-// Cria instância do axios
-const api = axios.create({
-  baseURL: config.apiUrl,
-  timeout: 30000,
-  headers: {
-    'Content-Type': 'application/json',
-    'Accept': 'application/json',
-  },
-  // Remove o header Expect que pode causar erro 417
-  maxRedirects: 0,
-});
-
-// Interceptor para remover header Expect que causa erro 417
-api.interceptors.request.use((config) => {
-  // Remove header Expect que pode causar erro 417
-  if (config.headers) {
-    delete config.headers.Expect;
-    delete config.headers.expect;
-  }
-  return config;
-});
-
 /**
  * Formata data para o padrão esperado pela API
- * Formato: "Fri May 22 2020 00:00:00 GMT -0300"
+ * Formato: "Fri May 22 2020 00:00:00 GMT -0300" (horário local do fuso configurado)
  * @param {Date} date - Data a formatar
  * @returns {string} Data formatada e codificada para URL
  */
 function formatDateForAPI(date) {
-  // A API espera formato como: "Fri May 22 2020 00:00:00 GMT -0300"
-  const formatted = date.toUTCString().replace('GMT', 'GMT -0300');
+  const formatted = `${formatZoned(date, 'EEE MMM dd yyyy HH:mm:ss')} GMT ${formatOffset(date)}`;
   // Codifica para URL (espaços viram %20)
   return encodeURIComponent(formatted);
 }
 
+/**
+ * Monta o path da URL de métricas (path params da 55PBX)
+ * O interval só é enviado quando o relatório define um
+ * @param {Date} dateStart - Início do período
+ * @param {Date} dateEnd - Fim do período
+ * @param {Object} filters - Filtros que sobrescrevem config.defaultFilters
+ * @param {Object} definition - Relatório do catálogo (getReport)
+ * @returns {string} Path no formato /inicio/fim/fila/numero/agente/report/quiz/timezone[/interval]
+ */
+function buildMetricsPath(dateStart, dateEnd, filters = {}, definition = getReport()) {
+  const f = { ...config.defaultFilters, ...definition.params, ...filters };
+  
+  const segments = [
+    formatDateForAPI(dateStart),
+    formatDateForAPI(dateEnd),
+    f.queue,
+    f.number,
+    f.agent,
+    f.report,
+    f.quiz_id,
+    formatOffsetHours(dateStart),
+  ];
+  
+  if (f.interval && f.interval !== 'undefined') {
+    segments.push(f.interval);
+  }
+  
+  return segments.join('/');
+}
+
+/**
+ * Faz a requisição à API de métricas para um período
+ * @param {Date} dateStart - Início do período
+ * @param {Date} dateEnd - Fim do período
+ * @param {Object} options - Opções
+ * @param {Object} options.filters - Filtros (queue, number, agent...)
+ * @param {string} options.report - Nome do relatório no catálogo
+ * @param {boolean} options.verbose - Loga URL e erros (padrão: false)
+ * @returns {Promise<Object|Array|null>} Resposta bruta da API ou null
+ * @throws {PbxError} Erro tipado (auth, not_found, rate_limited, timeout, server...)
+ */
+async function requestMetrics(dateStart, dateEnd, { filters = {}, report = DEFAULT_REPORT, verbose = false } = {}) {
+  const urlPath = buildMetricsPath(dateStart, dateEnd, filters, getReport(report));
+  
+  if (verbose) {
+    const fullUrl = `${config.apiUrl}/${urlPath}`;
+    console.log(`   🔗 URL: ${fullUrl.substring(0, 100)}...`);
+    console.log(`   🔑 Token: ${config.token ? config.token.substring(0, 20) + '...' : 'NÃO CONFIGURADO'}`);
+  }
+  
+  try {
+    return await client.get(`/${urlPath}`) || null;
+  } catch (error) {
+    if (verbose) {
+      console.error(`   ❌ API-55PBX: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
 /**
  * Busca dados de ligações do dia atual
  * 
  * @param {Date} date - Data de referência (padrão: hoje)
- * @returns {Promise<Object>} Dados agregados
+ * @param {Object} filters - Filtros (queue, number, agent...) - padrão: todos
+ * @param {string} report - Relatório do catálogo (padrão: report_01)
+ * @returns {Promise<Object>} Dados brutos da API
+ * @throws {PbxError} Se a API falhar
  */
-export async function fetchTodayCalls(date = new Date()) {
+export async function fetchTodayCalls(date = new Date(), filters = {}, report = DEFAULT_REPORT) {
   if (!isConfigured()) {
     console.warn('⚠️  API-55PBX: Não configurada');
     return null;
   }
   
   try {
-    console.log('📡 API-55PBX: Buscando ligações do dia...');
+    console.log(`📡 API-55PBX: Buscando ligações do dia (${report})...`);
     
     // Define período: início do dia até agora
-    const dateStart = startOfDay(date);
+    const dateStart = zonedStartOfDay(date);
     const dateEnd = new Date();
     
-    console.log(`   Período: ${dateStart.toLocaleString()} até ${dateEnd.toLocaleString()}`);
-    
-    // Monta a URL com path params
-    const urlPath = [
-      formatDateForAPI(dateStart),
-      formatDateForAPI(dateEnd),
-      config.defaultFilters.queue,
-      config.defaultFilters.number,
-      config.defaultFilters.agent,
-      config.defaultFilters.report,
-      config.defaultFilters.quiz_id,
-      config.timezone,
-    ].join('/');
-    
-    const fullUrl = `${config.apiUrl}/${urlPath}`;
-    console.log(`   🔗 URL: ${fullUrl.substring(0, 100)}...`);
-    console.log(`   🔑 Token: ${config.token ? config.token.substring(0, 20) + '...' : 'NÃO CONFIGURADO'}`);
-    
-    const response = await api.get(`/${urlPath}`, {
-      headers: {
-        ...getAuthHeaders(),
-        'Accept': 'application/json',
-      },
-      // Evita erro 417 removendo Expect header
-      validateStatus: (status) => status < 500,
-    });
-    
-    console.log(`   📊 Status HTTP: ${response.status}`);
-    
-    // Verifica status da resposta
-    if (response.status >= 400) {
-      console.error(`   ❌ API retornou status ${response.status}`);
-      if (response.status === 404) {
-        console.error('   ⚠️ Endpoint não encontrado - verifique a URL da API');
-      } else if (response.status === 417) {
-        console.error('   ⚠️ Erro 417 - verifique autenticação e formato da requisição');
-      }
-      return null;
-    }
+    console.log(`   Período: ${formatDateTimeBR(dateStart)} até ${formatDateTimeBR(dateEnd)}`);
     
-    const data = response.data;
+    const data = await requestMetrics(dateStart, dateEnd, { filters, report, verbose: true });
     
     if (!data) {
       console.log('   ⚠️ Nenhum dado retornado pela API');
       return null;
     }
     
-    // Verifica se a resposta está vazia ou com valores zerados
-    if (typeof data === 'object' && !Array.isArray(data)) {
-      const total = parseInt(data.totalCallAttendedReceptive || 0) + 
-                    parseInt(data.totalCallAbandonedQueue || 0) + 
-                    parseInt(data.totalCallAbandonedURA || 0);
-      
-      console.log(`   📋 Dados recebidos:`, {
-        atendidas: data.totalCallAttendedReceptive || 0,
-        abandonadas: data.totalCallAbandonedQueue || 0,
-        retidasURA: data.totalCallAbandonedURA || 0,
-        total: total
-      });
-      
-      if (total === 0) {
-        console.log('   ⚠️ API retornou dados, mas todos os valores estão zerados');
-        console.log('   💡 Possíveis causas:');
-        console.log('      - Período sem ligações');
-        console.log('      - Filtros muito restritivos');
-        console.log('      - Token expirado ou inválido');
-      }
-    }
-    
-    // Se for resposta agregada, retorna direto
-    if (!Array.isArray(data)) {
-      const total = parseInt(data.totalCallAttendedReceptive || 0) + 
-                    parseInt(data.totalCallAbandonedQueue || 0) + 
-                    parseInt(data.totalCallAbandonedURA || 0);
-      console.log(`✅ API-55PBX: ${total} ligações obtidas`);
-      return data;
-    }
-    
     return data;
     
   } catch (error) {
-    if (error.response) {
-      console.error(`   ❌ API-55PBX: Erro HTTP ${error.response.status}`);
-      console.error(`   📄 Resposta:`, JSON.stringify(error.response.data).substring(0, 200));
-    } else if (error.request) {
-      console.error('   ❌ API-55PBX: Sem resposta do servidor');
-      console.error('   💡 Verifique: URL da API, conexão de rede, firewall');
-    } else {
-      console.error('❌ API-55PBX: Erro ao buscar dados:', error.message);
-    }
-    return null;
+    console.error(`❌ API-55PBX: Erro ao buscar dados (${error.type || 'desconhecido'}): ${error.message}`);
+    throw error;
   }
 }
 
@@ -210,154 +195,564 @@ export function classifyCallStatus(callData) {
   return 'other';
 }
 
+/**
+ * Calcula os KPIs a partir de uma lista de ligações individuais
+ * @param {Array} calls - Ligações (formato do webhook)
+ * @returns {Object} KPIs
+ */
+function summarizeCalls(calls) {
+  let answered = 0;
+  let abandoned = 0;
+  let retainedURA = 0;
+  let other = 0;
+  let totalWaitTime = 0;
+  const hourCounts = {};
+  
+  calls.forEach(call => {
+    const classification = classifyCallStatus(call);
+    
+    switch (classification) {
+      case 'answered':
+        answered++;
+        break;
+      case 'abandoned':
+        abandoned++;
+        break;
+      case 'retained_ura':
+        retainedURA++;
+        break;
+      default:
+        other++;
+    }
+    
+    // Tempo de espera
+    const waitTime = parseInt(call.call_time_waiting || call.wait_time || call.tempo_espera || 0);
+    totalWaitTime += waitTime;
+    
+    // Conta por hora
+    try {
+      const callDate = parseZonedDateTime(call.call_date || call.date || call.data);
+      if (callDate) {
+        const hour = `${String(zonedHour(callDate)).padStart(2, '0')}:00`;
+        hourCounts[hour] = (hourCounts[hour] || 0) + 1;
+      }
+    } catch (e) {
+      // Ignora erro de data
+    }
+  });
+  
+  // Encontra horário de pico
+  let peakHour = null;
+  let peakCount = 0;
+  Object.entries(hourCounts).forEach(([hour, count]) => {
+    if (count > peakCount) {
+      peakCount = count;
+      peakHour = hour;
+    }
+  });
+  
+  return {
+    totalCalls: calls.length,
+    answered,
+    abandoned,
+    retainedURA,
+    other,
+    peakHour: peakHour ? { hour: peakHour, count: peakCount } : null,
+    // Calcula média de espera
+    avgWaitTime: calls.length > 0 ? Math.round(totalWaitTime / calls.length) : 0,
+  };
+}
+
 /**
  * Calcula os KPIs do dia atual buscando da API
- * @returns {Promise<Object>} KPIs calculados
+ * O report_01 não traz o horário de pico: com options.hourly, peakHour e a
+ * curva (hourly) vêm de fetchHourlyData (uma consulta por hora ainda aberta)
+ * @param {Object} filters - Filtros (ex: { queue: '123' }) - padrão: todas as filas
+ * @param {string} report - Relatório do catálogo (padrão: report_01)
+ * @param {Object} options - { hourly: true } para incluir pico e curva horária
+ * @returns {Promise<Object>} KPIs calculados (formato normalizado do relatório)
  */
-export async function calculateDayKPIs() {
+export async function calculateDayKPIs(filters = {}, report = DEFAULT_REPORT, options = {}) {
+  const definition = getReport(report);
+  
   try {
-    console.log('📊 API-55PBX: Calculando KPIs do dia...');
+    console.log(`📊 API-55PBX: Calculando KPIs do dia${filters.queue ? ` (fila ${filters.queue})` : ''}...`);
     
     // Busca dados da API
-    const data = await fetchTodayCalls();
+    const data = await fetchTodayCalls(new Date(), filters, report);
     
     // Se não houver dados, retorna zerado
     if (!data || (Array.isArray(data) && data.length === 0)) {
       console.log('   Sem dados para calcular KPIs');
       return {
-        totalCalls: 0,
-        answered: 0,
-        abandoned: 0,
-        retainedURA: 0,
-        other: 0,
-        peakHour: null,
-        avgWaitTime: 0,
+        ...definition.parse({}),
         lastUpdate: new Date().toISOString(),
       };
     }
     
-    // Se a resposta for agregada (Report_01 macro)
-    if (!Array.isArray(data)) {
-      // Extrai os valores da resposta da API 55PBX
-      // APENAS LIGAÇÕES DE ENTRADA (RECEPTIVAS):
-      const atendidas = parseInt(data.totalCallAttendedReceptive || 0);  // Atendidas receptivas
-      const abandonadas = parseInt(data.totalCallAbandonedQueue || 0);   // Abandonadas na fila
-      const retidasURA = parseInt(data.totalCallAbandonedURA || 0);      // Retidas/abandonadas na URA
-      
-      // Total = soma das 3 categorias (apenas entrada)
-      const totalCalls = atendidas + abandonadas + retidasURA;
-      
-      // Tempo médio de espera (formato "00:00:06" -> segundos)
-      let avgWaitTime = 0;
-      const waitTimeStr = data.timeMediumWaitingAttendance || '00:00:00';
-      const waitParts = waitTimeStr.split(':');
-      if (waitParts.length === 3) {
-        avgWaitTime = parseInt(waitParts[0]) * 3600 + parseInt(waitParts[1]) * 60 + parseInt(waitParts[2]);
-      }
-      
-      const kpis = {
-        totalCalls: totalCalls,
-        answered: atendidas,           // Atendidas
-        abandoned: abandonadas,         // Abandonadas na fila
-        retainedURA: retidasURA,       // Retidas na URA
-        other: 0,
-        peakHour: null,
-        avgWaitTime: avgWaitTime,
-        lastUpdate: new Date().toISOString(),
-        // Dados extras
-        slaAttendance: data.sla_attendance || '0%',
-        timeMediumDuration: data.timeMediumDurationCall || '00:00:00',
-      };
-      
+    // Lista de ligações individuais ou agregado do relatório
+    const kpis = {
+      ...(Array.isArray(data) ? summarizeCalls(data) : definition.parse(data)),
+      lastUpdate: new Date().toISOString(),
+    };
+    
+    if (kpis.totalCalls === 0) {
+      console.log('   ⚠️ API retornou dados, mas todos os valores estão zerados');
+      console.log('   💡 Possíveis causas:');
+      console.log('      - Período sem ligações');
+      console.log('      - Filtros muito restritivos');
+      console.log('      - Token expirado ou inválido');
+    } else if (kpis.totalCalls !== undefined) {
       console.log(`   ✅ KPIs: ${kpis.totalCalls} total | ${kpis.answered} atendidas | ${kpis.abandoned} abandonadas | ${kpis.retainedURA} retidas URA`);
-      
-      return kpis;
     }
     
-    // Se for array de ligações, processa cada uma
-    const calls = data;
-    let answered = 0;
-    let abandoned = 0;
-    let retainedURA = 0;
-    let other = 0;
-    let totalWaitTime = 0;
-    const hourCounts = {};
-    
-    calls.forEach(call => {
-      const classification = classifyCallStatus(call);
-      
-      switch (classification) {
-        case 'answered':
-          answered++;
-          break;
-        case 'abandoned':
-          abandoned++;
-          break;
-        case 'retained_ura':
-          retainedURA++;
-          break;
-        default:
-          other++;
+    // Horário de pico e curva hora a hora
+    if (options.hourly && !kpis.peakHour) {
+      const hourly = await fetchHourlyData(new Date(), filters);
+      if (hourly) {
+        kpis.peakHour = hourly.peakHour;
+        kpis.hourly = hourly.hours;
       }
-      
-      // Tempo de espera
-      const waitTime = parseInt(call.call_time_waiting || call.wait_time || call.tempo_espera || 0);
-      totalWaitTime += waitTime;
-      
-      // Conta por hora
+    }
+    
+    return kpis;
+    
+  } catch (error) {
+    console.error('❌ API-55PBX: Erro ao calcular KPIs:', error.message);
+    
+    // Retorna zerado em caso de erro, sinalizando que a 55PBX não respondeu
+    return {
+      ...definition.parse({}),
+      lastUpdate: new Date().toISOString(),
+      error: error.message,
+      errorType: error.type || 'unknown',
+      unavailable: error instanceof PbxError,
+    };
+  }
+}
+
+/**
+ * Calcula os KPIs dos últimos N minutos (janela móvel, usada pelos alertas)
+ * @param {number} minutes - Tamanho da janela em minutos
+ * @param {Object} filters - Filtros (ex: { queue: '123' })
+ * @returns {Promise<Object>} KPIs da janela (formato normalizado do report_01)
+ * @throws {PbxError} Em erros da API (quem chama decide como tratar)
+ */
+export async function calculateWindowKPIs(minutes, filters = {}) {
+  const now = new Date();
+  const metrics = await fetchPeriodData(new Date(now.getTime() - minutes * 60000), now, filters);
+  return metrics || getReport().parse({});
+}
+
+// Cache das horas já encerradas de hoje (não mudam mais): tenant|dia|filtros|hora -> métricas da hora
+// Dias fechados vão para o histórico permanente; as entradas de outros dias são descartadas
+const hourlyCache = new Map();
+
+/**
+ * Descarta do cache as horas de dias que não são hoje
+ * @param {string} todayKey - Dia atual (YYYY-MM-DD)
+ */
+function pruneHourlyCache(todayKey) {
+  hourlyCache.forEach((_, cacheKey) => {
+    if (cacheKey.split('|')[1] !== todayKey) {
+      hourlyCache.delete(cacheKey);
+    }
+  });
+}
+
+/**
+ * Monta a curva intradiária com o horário de pico
+ * @param {string} dayKey - Dia (YYYY-MM-DD)
+ * @param {Array} hours - Resumo de cada hora
+ * @param {boolean} complete - Todas as horas foram consultadas
+ * @returns {Object} Curva intradiária e horário de pico
+ */
+function buildHourlyResult(dayKey, hours, complete = true) {
+  // Encontra horário de pico (maior volume total)
+  const peak = hours.reduce((max, h) => (h.total > (max?.total || 0) ? h : max), null);
+  
+  return {
+    date: dayKey,
+    hours,
+    // false quando alguma hora não pôde ser consultada (fica zerada)
+    complete,
+    peakHour: peak ? { hour: peak.hour, count: peak.total } : null,
+    lastUpdate: new Date().toISOString(),
+  };
+}
+
+/**
+ * Busca o volume hora a hora de um dia (uma consulta por hora)
+ * Dias fechados ficam no histórico permanente (namespace "<relatório>-por_hora");
+ * no dia atual, as horas encerradas ficam em cache e a hora corrente é sempre consultada
+ * @param {Date} date - Dia de referência (padrão: hoje)
+ * @param {Object} filters - Filtros (queue, number, agent...)
+ * @returns {Promise<Object|null>} Curva intradiária e horário de pico
+ */
+export async function fetchHourlyData(date = new Date(), filters = {}) {
+  if (!isConfigured()) {
+    return null;
+  }
+  
+  const now = new Date();
+  const dayStart = zonedStartOfDay(date);
+  const dayKey = toDateKey(dayStart);
+  const filtersKey = JSON.stringify(filters);
+  const definition = getReport();
+  const namespace = `${historyNamespace(filters)}-por_hora`;
+  const closedDay = isClosedDay(dayStart);
+  
+  if (closedDay) {
+    const stored = await dbService.getHistoryDays([dayKey], namespace);
+    if (stored[dayKey]) {
+      return buildHourlyResult(dayKey, stored[dayKey].hours);
+    }
+  }
+  
+  pruneHourlyCache(toDateKey(now));
+  
+  console.log(`🕐 API-55PBX: Buscando volume por hora de ${dayKey}...`);
+  
+  const hours = [];
+  let failed = false;
+  
+  for (let h = 0; h < 24; h++) {
+    const hourStart = addHours(dayStart, h);
+    if (hourStart > now) break;
+    
+    const hourEnd = addHours(hourStart, 1) > now ? now : new Date(addHours(hourStart, 1).getTime() - 1000);
+    const closed = hourEnd < now;
+    const cacheKey = `${getTenantId()}|${dayKey}|${filtersKey}|${h}`;
+    
+    let metrics = closed ? hourlyCache.get(cacheKey) : null;
+    if (!metrics) {
       try {
-        const callDate = new Date(call.call_date || call.date || call.data);
-        const hour = `${String(callDate.getHours()).padStart(2, '0')}:00`;
-        hourCounts[hour] = (hourCounts[hour] || 0) + 1;
-      } catch (e) {
-        // Ignora erro de data
+        metrics = await fetchPeriodData(hourStart, hourEnd, filters);
+      } catch (error) {
+        if (isFatalError(error)) throw error;
+        console.error(`   ❌ Erro ao buscar ${String(h).padStart(2, '0')}h: ${error.message}`);
+        metrics = null;
+        failed = true;
+      }
+      
+      if (metrics && closed && !closedDay) {
+        hourlyCache.set(cacheKey, metrics);
       }
+      
+      // Pequeno delay para não sobrecarregar a API
+      await new Promise(r => setTimeout(r, 300));
+    }
+    
+    hours.push({
+      hour: `${String(h).padStart(2, '0')}:00`,
+      ...definition.daily(metrics || definition.parse({})),
+      partial: !closed,
     });
+  }
+  
+  // Só grava o dia completo: uma hora com erro é buscada de novo na próxima consulta
+  if (closedDay && !failed) {
+    await dbService.saveHistoryDays({ [dayKey]: { hours } }, namespace);
+  }
+  
+  return buildHourlyResult(dayKey, hours, !failed);
+}
+
+/**
+ * Busca uma fila configurada pelo ID ou nome
+ * @param {string} queue - ID ou nome da fila
+ * @returns {Object|null} Fila ({ id, name }) ou null se não configurada
+ */
+export function findQueue(queue) {
+  const value = String(queue || '').toLowerCase();
+  return config.queues.find(q => q.id.toLowerCase() === value || q.name.toLowerCase() === value) || null;
+}
+
+/**
+ * Calcula os KPIs do dia para cada fila configurada (API_55_QUEUES)
+ * @returns {Promise<Array>} KPIs por fila (vazio se nenhuma fila configurada)
+ */
+export async function calculateQueueKPIs() {
+  const result = [];
+  
+  for (const queue of config.queues) {
+    const kpis = await calculateDayKPIs({ queue: queue.id });
     
-    // Encontra horário de pico
-    let peakHour = null;
-    let peakCount = 0;
-    Object.entries(hourCounts).forEach(([hour, count]) => {
-      if (count > peakCount) {
-        peakCount = count;
-        peakHour = hour;
-      }
+    result.push({
+      id: queue.id,
+      name: queue.name,
+      totalCalls: kpis.totalCalls,
+      answered: kpis.answered,
+      abandoned: kpis.abandoned,
+      retainedURA: kpis.retainedURA,
+      avgWaitTime: kpis.avgWaitTime,
+      avgTalkTime: kpis.avgTalkTime,
+      serviceLevel: kpis.serviceLevel ?? null,
+      slaAttendance: kpis.slaAttendance || '0%',
     });
     
-    // Calcula média de espera
-    const avgWaitTime = calls.length > 0 ? Math.round(totalWaitTime / calls.length) : 0;
+    // Pequeno delay para não sobrecarregar a API
+    await new Promise(r => setTimeout(r, 300));
+  }
+  
+  return result;
+}
+
+/**
+ * Calcula o desempenho de cada agente configurado (API_55_AGENTS) no período
+ * Usa o filtro de agente do path da 55PBX (uma requisição por agente)
+ * @param {Date} dateStart - Primeiro dia do período
+ * @param {Date} dateEnd - Último dia do período (padrão: mesmo dia)
+ * @returns {Promise<Object|null>} Ranking de agentes ou null se não configurado
+ */
+export async function calculateAgentKPIs(dateStart = new Date(), dateEnd = dateStart) {
+  if (!isConfigured()) {
+    return null;
+  }
+  
+  const periodStart = zonedStartOfDay(dateStart);
+  const periodEnd = zonedEndOfDay(dateEnd) > new Date() ? new Date() : zonedEndOfDay(dateEnd);
+  
+  console.log(`👤 API-55PBX: Calculando desempenho de ${config.agents.length} agentes...`);
+  
+  const agents = [];
+  
+  for (const agent of config.agents) {
+    try {
+      const metrics = await fetchPeriodData(periodStart, periodEnd, { agent: agent.id }) || getReport().parse({});
+      
+      agents.push({
+        id: agent.id,
+        name: agent.name,
+        answered: metrics.answered,
+        avgTalkTime: metrics.avgTalkTime,
+        avgWaitTime: metrics.avgWaitTime,
+      });
+    } catch (error) {
+      if (isFatalError(error)) throw error;
+      console.error(`   ❌ Erro ao buscar agente ${agent.name}: ${error.message}`);
+    }
     
-    const kpis = {
-      totalCalls: calls.length,
-      answered,
-      abandoned,
-      retainedURA,
-      other,
-      peakHour: peakHour ? { hour: peakHour, count: peakCount } : null,
-      avgWaitTime,
-      lastUpdate: new Date().toISOString(),
-    };
+    // Pequeno delay para não sobrecarregar a API
+    await new Promise(r => setTimeout(r, 300));
+  }
+  
+  // Ranking: mais atendidas primeiro; empate -> menor tempo médio de espera
+  agents.sort((a, b) => b.answered - a.answered || a.avgWaitTime - b.avgWaitTime);
+  agents.forEach((agent, index) => {
+    agent.rank = index + 1;
+  });
+  
+  return {
+    from: toDateKey(periodStart),
+    to: toDateKey(dateEnd),
+    agents,
+    lastUpdate: new Date().toISOString(),
+  };
+}
+
+/**
+ * Calcula volume e abandono de cada número rastreado (API_55_NUMBERS) no período
+ * @param {Date} dateStart - Primeiro dia do período
+ * @param {Date} dateEnd - Último dia do período (padrão: mesmo dia)
+ * @returns {Promise<Object|null>} Volume por número ou null se não configurado
+ */
+export async function calculateNumberKPIs(dateStart = new Date(), dateEnd = dateStart) {
+  if (!isConfigured()) {
+    return null;
+  }
+  
+  const periodStart = zonedStartOfDay(dateStart);
+  const periodEnd = zonedEndOfDay(dateEnd) > new Date() ? new Date() : zonedEndOfDay(dateEnd);
+  
+  console.log(`☎️ API-55PBX: Calculando volume de ${config.numbers.length} números...`);
+  
+  const numbers = [];
+  
+  for (const number of config.numbers) {
+    try {
+      const definition = getReport();
+      const resumo = definition.daily(await fetchPeriodData(periodStart, periodEnd, { number: number.id }) || definition.parse({}));
+      
+      numbers.push({
+        id: number.id,
+        name: number.name,
+        ...resumo,
+        taxaAbandono: resumo.total > 0 ? Math.round((resumo.abandonadas / resumo.total) * 100) : 0,
+      });
+    } catch (error) {
+      if (isFatalError(error)) throw error;
+      console.error(`   ❌ Erro ao buscar número ${number.name}: ${error.message}`);
+    }
     
-    console.log(`✅ KPIs calculados: ${kpis.totalCalls} ligações, ${kpis.answered} atendidas (${Math.round(kpis.answered/kpis.totalCalls*100)}%)`);
+    // Pequeno delay para não sobrecarregar a API
+    await new Promise(r => setTimeout(r, 300));
+  }
+  
+  return {
+    from: toDateKey(periodStart),
+    to: toDateKey(dateEnd),
+    numbers,
+    lastUpdate: new Date().toISOString(),
+  };
+}
+
+/**
+ * Busca o histórico diário de cada número rastreado (via fetchDayData)
+ * @param {number} days - Quantidade de dias anteriores (padrão: 7)
+ * @param {Date} reference - Dia de referência (não incluído)
+ * @returns {Promise<Object>} Histórico e médias por número (chave: ID)
+ */
+export async function fetchNumberHistory(days = 7, reference = new Date()) {
+  console.log(`📊 API-55PBX: Buscando histórico de ${days} dias por número...`);
+  
+  const dates = Array.from({ length: days }, (_, i) => zonedAddDays(reference, -(i + 1)));
+  const result = {};
+  
+  for (const number of config.numbers) {
+    const historico = (await getDaysData(dates, { number: number.id })).filter(Boolean);
     
-    return kpis;
+    const media = (campo) => historico.length > 0
+      ? Math.round(historico.reduce((sum, d) => sum + d[campo], 0) / historico.length)
+      : 0;
     
-  } catch (error) {
-    console.error('❌ API-55PBX: Erro ao calcular KPIs:', error.message);
+    result[number.id] = {
+      dias: historico.length,
+      historico,
+      medias: {
+        atendidas: media('atendidas'),
+        abandonadas: media('abandonadas'),
+        retidasURA: media('retidasURA'),
+        total: media('total'),
+      },
+    };
+  }
+  
+  return result;
+}
+
+/**
+ * Percentual inteiro (null quando o total é zero)
+ * @param {number} value - Parte
+ * @param {number} total - Total
+ * @returns {number|null}
+ */
+function percentOf(value, total) {
+  return total > 0 ? Math.round((value / total) * 100) : null;
+}
+
+/**
+ * Calcula o resultado de cada pesquisa configurada (API_55_SURVEYS) no período
+ * A participação é a parcela das ligações atendidas que respondeu a pesquisa
+ * @param {Date} dateStart - Primeiro dia do período
+ * @param {Date} dateEnd - Último dia do período (padrão: mesmo dia)
+ * @returns {Promise<Object|null>} Resultado por pesquisa ou null se não configurado
+ */
+export async function calculateSurveyKPIs(dateStart = new Date(), dateEnd = dateStart) {
+  if (!isConfigured()) {
+    return null;
+  }
+  
+  const periodStart = zonedStartOfDay(dateStart);
+  const periodEnd = zonedEndOfDay(dateEnd) > new Date() ? new Date() : zonedEndOfDay(dateEnd);
+  
+  console.log(`⭐ API-55PBX: Calculando ${config.surveys.length} pesquisas de satisfação...`);
+  
+  // Ligações atendidas no período (base da participação)
+  const atendimento = await fetchPeriodData(periodStart, periodEnd) || getReport().parse({});
+  
+  const surveys = [];
+  
+  for (const survey of config.surveys) {
+    try {
+      const metrics = await fetchPeriodData(periodStart, periodEnd, { quiz_id: survey.id }, 'survey') || getReport('survey').parse({});
+      
+      surveys.push({
+        id: survey.id,
+        name: survey.name,
+        ...metrics,
+        participacao: percentOf(metrics.responses, atendimento.answered),
+      });
+    } catch (error) {
+      if (isFatalError(error)) throw error;
+      console.error(`   ❌ Erro ao buscar pesquisa ${survey.name}: ${error.message}`);
+    }
     
-    // Retorna zerado em caso de erro
-    return {
-      totalCalls: 0,
-      answered: 0,
-      abandoned: 0,
-      retainedURA: 0,
-      other: 0,
-      peakHour: null,
-      avgWaitTime: 0,
-      lastUpdate: new Date().toISOString(),
-      error: error.message,
+    // Pequeno delay para não sobrecarregar a API
+    await new Promise(r => setTimeout(r, 300));
+  }
+  
+  return {
+    from: toDateKey(periodStart),
+    to: toDateKey(dateEnd),
+    answered: atendimento.answered,
+    surveys,
+    lastUpdate: new Date().toISOString(),
+  };
+}
+
+/**
+ * Busca o histórico diário de cada pesquisa configurada (via getDaysData)
+ * As médias somam as notas de todos os dias (NPS/CSAT do período inteiro)
+ * @param {number} days - Quantidade de dias anteriores (padrão: 15)
+ * @param {Date} reference - Dia de referência (não incluído)
+ * @returns {Promise<Object>} Histórico e médias por pesquisa (chave: quiz_id)
+ */
+export async function fetchSurveyHistory(days = 15, reference = new Date()) {
+  console.log(`📊 API-55PBX: Buscando histórico de ${days} dias das pesquisas...`);
+  
+  const dates = Array.from({ length: days }, (_, i) => zonedAddDays(reference, -(i + 1)));
+  const atendidas = (await getDaysData(dates)).filter(Boolean).reduce((sum, d) => sum + d.atendidas, 0);
+  const result = {};
+  
+  for (const survey of config.surveys) {
+    const historico = (await getDaysData(dates, { quiz_id: survey.id }, 'survey')).filter(Boolean);
+    
+    // Soma a distribuição de notas de todos os dias
+    const distribuicao = {};
+    historico.forEach(dia => {
+      Object.entries(dia.distribuicao || {}).forEach(([nota, quantidade]) => {
+        distribuicao[nota] = (distribuicao[nota] || 0) + quantidade;
+      });
+    });
+    const periodo = summarizeSurvey(distribuicao);
+    
+    result[survey.id] = {
+      dias: historico.length,
+      historico,
+      medias: {
+        respostas: historico.length > 0 ? Math.round(periodo.responses / historico.length) : 0,
+        media: periodo.average,
+        nps: periodo.nps,
+        csat: periodo.csat,
+        participacao: percentOf(periodo.responses, atendidas),
+      },
     };
   }
+  
+  return result;
+}
+
+/**
+ * Anexa a cada pesquisa o histórico e a diferença (em pontos) para a média
+ * @param {Object} report - Resultado de calculateSurveyKPIs
+ * @param {Object} history - Resultado de fetchSurveyHistory
+ * @returns {Object} O próprio report, com historico/comparacao em cada pesquisa
+ */
+export function compareSurveys(report, history) {
+  const diff = (atual, media) => (atual === null || media === null || media === undefined ? null : atual - media);
+  
+  report.surveys.forEach(survey => {
+    const hist = history[survey.id];
+    survey.historico = hist || null;
+    survey.comparacao = {
+      nps: diff(survey.nps, hist?.medias.nps),
+      csat: diff(survey.csat, hist?.medias.csat),
+      participacao: diff(survey.participacao, hist?.medias.participacao),
+    };
+  });
+  
+  return report;
 }
 
 /**
@@ -368,10 +763,7 @@ export async function testConnection() {
   try {
     console.log('🔌 API-55PBX: Testando conexão...');
     
-    const response = await api.get('', {
-      headers: getAuthHeaders(),
-      timeout: 10000,
-    });
+    await client.get('', { timeout: 10000 });
     
     console.log('✅ API-55PBX: Conexão OK');
     return true;
@@ -382,102 +774,382 @@ export async function testConnection() {
   }
 }
 
-// Mantém compatibilidade com webhook (caso queira usar no futuro)
+/**
+ * Valida o token recebido no webhook
+ * @param {string} receivedToken - Token enviado pela 55PBX
+ * @returns {boolean}
+ */
 export function validateToken(receivedToken) {
-  return receivedToken === config.token;
+  return safeCompare(String(receivedToken || ''), config.webhook.token);
+}
+
+/**
+ * Normaliza os campos documentados do webhook da 55PBX
+ * Mantém os nomes originais (call_*) para que classifyCallStatus
+ * e o cálculo de KPIs por ligação funcionem sobre os dados armazenados
+ * @param {Object} callData - Payload bruto recebido
+ * @returns {Object} Chamada normalizada
+ */
+export function normalizeCallData(callData) {
+  // "yyyy-MM-dd HH:mm:ss" sem offset está no fuso TIMEZONE, não no do servidor
+  const callDate = parseZonedDateTime(callData.call_date) || new Date();
+  
+  return {
+    call_id: String(callData.call_id).trim(),
+    call_date: callDate.toISOString(),
+    call_type: String(callData.call_type || '').trim().toLowerCase(),
+    call_status: String(callData.call_status || '').trim(),
+    call_queue: String(callData.call_queue || '').trim(),
+    call_ura: String(callData.call_ura || '').trim(),
+    call_time_waiting: toSeconds(callData.call_time_waiting),
+    call_duration: toSeconds(callData.call_duration),
+    call_disconnection: String(callData.call_disconnection || '').trim(),
+  };
 }
 
+/**
+ * Identifica se o webhook é o início ou o fim da ligação
+ * A 55PBX envia um POST no início e outro no fim; o evento de fim
+ * traz a duração e/ou quem desligou. Eventos intermediários (ex: atendimento,
+ * com call_status ANSWERED) não trazem e atualizam a chamada em andamento
+ * @param {Object} call - Chamada normalizada
+ * @returns {'start'|'end'} Tipo do evento
+ */
+export function detectCallEvent(call) {
+  if (call.call_disconnection || call.call_duration > 0) {
+    return 'end';
+  }
+  return 'start';
+}
+
+/**
+ * Processa um evento de ligação recebido via webhook
+ * Normaliza, classifica e abre/finaliza o registro da chamada no DB-Reports
+ * @param {Object} callData - Payload recebido da 55PBX
+ * @returns {Promise<Object>} Resultado do processamento
+ */
 export async function processWebhook(callData) {
-  // Mantido para compatibilidade
-  console.log('📞 API-55PBX: Webhook recebido (modo legado)');
-  return { processed: false, reason: 'using_api_mode' };
+  if (!callData || typeof callData !== 'object' || !callData.call_id) {
+    console.warn('⚠️  API-55PBX: Webhook sem call_id ignorado');
+    return { processed: false, reason: 'missing_call_id' };
+  }
+  
+  const call = normalizeCallData(callData);
+  const event = detectCallEvent(call);
+  const classification = event === 'start' ? 'in_progress' : classifyCallStatus(call);
+  
+  console.log(`📞 API-55PBX: Webhook recebido - ${call.call_id} (${event}: ${classification})`);
+  
+  // Eventos intermediários (atendimento) chegam sem duração: marcam a chamada como atendida
+  const stored = event === 'start'
+    ? await dbService.startCall({ ...call, classification, answered: classifyCallStatus(call) === 'answered' })
+    : await dbService.endCall({ ...call, classification });
+  
+  if (!stored) {
+    return { processed: false, reason: 'storage_error', callId: call.call_id };
+  }
+  
+  return {
+    processed: true,
+    callId: call.call_id,
+    event,
+    classification,
+  };
+}
+
+/**
+ * Reprocessa uma dead-letter pelo mesmo caminho de ingestão do webhook
+ * Requisições rejeitadas (token, assinatura ou IP) nunca são reprocessadas:
+ * o corpo não é confiável e nem é guardado
+ * @param {string} id - ID da dead-letter
+ * @returns {Promise<Object|null>} Resultado do replay ou null se não existe
+ */
+export async function replayDeadLetter(id) {
+  const deadLetter = await dbService.getDeadLetter(id);
+  if (!deadLetter) {
+    return null;
+  }
+  
+  if (deadLetter.reason === 'rejected') {
+    return { processed: false, replayable: false, reason: 'rejected_request', deadLetter };
+  }
+  
+  let result;
+  try {
+    result = await processWebhook(deadLetter.payload);
+  } catch (error) {
+    result = { processed: false, reason: error.message };
+  }
+  
+  const updated = await dbService.updateDeadLetter(id, result.processed
+    ? { status: 'replayed', replayedAt: new Date().toISOString(), attempts: deadLetter.attempts + 1 }
+    : { error: result.reason, attempts: deadLetter.attempts + 1, lastAttemptAt: new Date().toISOString() });
+  
+  return { ...result, deadLetter: updated };
+}
+
+/**
+ * Retorna o painel ao vivo: chamadas em andamento por fila
+ * Chamadas ainda sem fila estão na URA e ficam fora da espera; nas filas,
+ * as já atendidas (evento de atendimento) contam como "em atendimento"
+ * @returns {Promise<Object>} Snapshot das filas
+ */
+export async function getLiveCalls() {
+  const activeCalls = await dbService.getActiveCalls();
+  const queues = {};
+  let inUra = 0;
+  
+  activeCalls.forEach(call => {
+    if (!call.call_queue) {
+      inUra++;
+      return;
+    }
+    
+    const queue = call.call_queue;
+    if (!queues[queue]) {
+      queues[queue] = { queue, waiting: 0, inAttendance: 0 };
+    }
+    
+    if (call.answered || classifyCallStatus(call) === 'answered') {
+      queues[queue].inAttendance++;
+    } else {
+      queues[queue].waiting++;
+    }
+  });
+  
+  const byQueue = Object.values(queues).sort((a, b) => b.waiting - a.waiting);
+  
+  return {
+    inProgress: activeCalls.length,
+    inUra,
+    waiting: byQueue.reduce((sum, q) => sum + q.waiting, 0),
+    inAttendance: byQueue.reduce((sum, q) => sum + q.inAttendance, 0),
+    queues: byQueue,
+    lastUpdate: new Date().toISOString(),
+  };
+}
+
+/**
+ * Busca as métricas normalizadas de um período qualquer
+ * @param {Date} dateStart - Início do período
+ * @param {Date} dateEnd - Fim do período
+ * @param {Object} filters - Filtros (queue, number, agent...)
+ * @param {string} report - Relatório do catálogo (padrão: report_01)
+ * @returns {Promise<Object|null>} Métricas normalizadas ou null sem dados
+ */
+async function fetchPeriodData(dateStart, dateEnd, filters = {}, report = DEFAULT_REPORT) {
+  const data = await requestMetrics(dateStart, dateEnd, { filters, report });
+  return data ? getReport(report).parse(data) : null;
 }
 
 /**
  * Busca dados de um dia específico
  * @param {Date} date - Data específica para buscar
- * @returns {Promise<Object>} KPIs do dia
+ * @param {Object} filters - Filtros (queue, number, agent...) - padrão: todos
+ * @param {string} report - Relatório do catálogo (padrão: report_01)
+ * @param {Object} cutoff - Horário de corte ({ hour, minute }): só o dia até esse horário (padrão: dia inteiro)
+ * @returns {Promise<Object>} Resumo diário do relatório (null se o dia falhar)
+ * @throws {PbxError} Em erros de autenticação ou com a API indisponível
  */
-export async function fetchDayData(date) {
+export async function fetchDayData(date, filters = {}, report = DEFAULT_REPORT, cutoff = null) {
   if (!isConfigured()) {
     return null;
   }
   
   try {
-    const dateStart = startOfDay(date);
-    const dateEnd = endOfDay(date);
-    
-    const urlPath = [
-      formatDateForAPI(dateStart),
-      formatDateForAPI(dateEnd),
-      config.defaultFilters.queue,
-      config.defaultFilters.number,
-      config.defaultFilters.agent,
-      config.defaultFilters.report,
-      config.defaultFilters.quiz_id,
-      config.timezone,
-    ].join('/');
-    
-    const response = await api.get(`/${urlPath}`, {
-      headers: {
-        ...getAuthHeaders(),
-        'Accept': 'application/json',
-      },
-      // Evita erro 417 removendo Expect header
-      validateStatus: (status) => status < 500,
-    });
+    const dayStart = zonedStartOfDay(date);
+    const { year, month, day } = getZonedParts(dayStart);
+    const dayEnd = cutoff
+      ? new Date(zonedDate(year, month, day, cutoff.hour, cutoff.minute).getTime() - 1000)
+      : zonedEndOfDay(date);
     
-    const data = response.data;
+    const metrics = await fetchPeriodData(dayStart, dayEnd, filters, report);
     
-    if (!data) return null;
+    if (!metrics) return null;
     
     return {
-      date: format(date, 'dd/MM/yyyy'),
-      atendidas: parseInt(data.totalCallAttendedReceptive || 0),
-      abandonadas: parseInt(data.totalCallAbandonedQueue || 0),
-      retidasURA: parseInt(data.totalCallAbandonedURA || 0),
-      total: parseInt(data.totalCallAttendedReceptive || 0) + 
-             parseInt(data.totalCallAbandonedQueue || 0) + 
-             parseInt(data.totalCallAbandonedURA || 0),
+      date: formatZoned(date, 'dd/MM/yyyy'),
+      ...getReport(report).daily(metrics),
     };
     
   } catch (error) {
-    if (error.response?.status === 417) {
-      // Silencia erro 417 repetido para não poluir logs
-      return null;
+    // Token inválido ou API fora do ar: interrompe em vez de virar "sem histórico"
+    if (isFatalError(error)) {
+      throw error;
     }
-    console.error(`   ❌ Erro ao buscar ${format(date, 'dd/MM')}: ${error.message}`);
+    console.error(`   ❌ Erro ao buscar ${formatZoned(date, 'dd/MM')}: ${error.message}`);
     return null;
   }
 }
 
 /**
- * Busca dados dos últimos N dias
- * @param {number} days - Quantidade de dias (padrão: 15)
- * @returns {Promise<Object>} Histórico e análise
+ * Executa uma função sobre vários itens com paralelismo limitado
+ * @param {Array} items - Itens
+ * @param {number} limit - Máximo de execuções simultâneas
+ * @param {Function} fn - (item) => Promise
+ * @returns {Promise<Array>} Resultados na mesma ordem dos itens
  */
-export async function fetchHistoricalData(days = 15) {
-  console.log(`📊 API-55PBX: Buscando histórico dos últimos ${days} dias...`);
-  await sendLog(`📊 Carregando histórico (${days} dias)...`, 'info');
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
   
-  const historico = [];
-  const hoje = new Date();
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
   
-  // Busca cada dia (começa do dia anterior, não inclui hoje)
-  for (let i = 1; i <= days; i++) {
-    const data = subDays(hoje, i);
-    console.log(`   📅 Dia ${i}/${days}: ${format(data, 'dd/MM/yyyy')}`);
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Gera o namespace do histórico permanente (relatório + filtros + corte)
+ * @param {Object} filters - Filtros aplicados
+ * @param {string} report - Relatório do catálogo
+ * @param {Object} cutoff - Horário de corte ({ hour, minute }) ou null para o dia inteiro
+ * @returns {string} Ex: "report_01", "report_01-number_5511" ou "report_01-ate_1200"
+ */
+export function historyNamespace(filters = {}, report = DEFAULT_REPORT, cutoff = null) {
+  const parts = Object.keys(filters).sort().map(key => `${key}_${filters[key]}`);
+  if (cutoff) {
+    parts.push(`ate_${formatCutoff(cutoff).replace(':', '')}`);
+  }
+  return [report, ...parts].join('-');
+}
+
+/**
+ * Verifica se o dia já terminou (com 1 hora de margem para as últimas ligações)
+ * Só dias fechados entram no histórico permanente
+ * @param {Date} date - Dia
+ * @returns {boolean}
+ */
+function isClosedDay(date) {
+  return zonedEndOfDay(date).getTime() < Date.now() - 3600 * 1000;
+}
+
+/**
+ * Busca o resumo de vários dias, usando o histórico permanente do DB-Reports
+ * Apenas os dias ausentes são consultados na API (com paralelismo limitado)
+ * e os dias fechados obtidos são gravados para as próximas consultas
+ * @param {Array<Date>} dates - Dias desejados
+ * @param {Object} filters - Filtros (queue, number, agent...)
+ * @param {string} report - Relatório do catálogo (padrão: report_01)
+ * @param {Object} cutoff - Horário de corte ({ hour, minute }) ou null para o dia inteiro
+ * @param {Object} options - { refresh: true } ignora o histórico e busca todos os dias de novo
+ * @returns {Promise<Array>} Resumos na mesma ordem (null nos dias sem dados)
+ * @throws {PbxError} Em erros de autenticação ou com a API indisponível
+ */
+export async function getDaysData(dates, filters = {}, report = DEFAULT_REPORT, cutoff = null, options = {}) {
+  const namespace = historyNamespace(filters, report, cutoff);
+  const keys = dates.map(date => toDateKey(date));
+  const stored = options.refresh ? {} : await dbService.getHistoryDays(keys, namespace);
+  
+  const missing = dates.filter((date, index) => !stored[keys[index]]);
+  
+  if (missing.length > 0) {
+    if (dates.length > 1) {
+      console.log(`   📡 ${dates.length - missing.length} dias em cache, buscando ${missing.length} na API...`);
+    }
     
-    const dadosDia = await fetchDayData(data);
+    const fetched = await mapWithConcurrency(missing, config.history.concurrency, date => fetchDayData(date, filters, report, cutoff));
     
-    if (dadosDia) {
-      historico.push(dadosDia);
-    }
+    const toSave = {};
+    missing.forEach((date, index) => {
+      const key = toDateKey(date);
+      if (fetched[index]) {
+        stored[key] = fetched[index];
+        if (isClosedDay(date)) {
+          toSave[key] = fetched[index];
+        }
+      }
+    });
     
-    // Pequeno delay para não sobrecarregar a API
-    await new Promise(r => setTimeout(r, 300));
+    await dbService.saveHistoryDays(toSave, namespace);
   }
   
+  return keys.map(key => {
+    if (!stored[key]) return null;
+    const { storedAt, ...dadosDia } = stored[key];
+    return dadosDia;
+  });
+}
+
+// Dia da semana no plural, para descrever a base "weekday" (0 = domingo)
+const WEEKDAY_PLURAL = ['domingos', 'segundas-feiras', 'terças-feiras', 'quartas-feiras', 'quintas-feiras', 'sextas-feiras', 'sábados'];
+
+/**
+ * Monta a base de comparação histórica de um dia
+ * - weekday: mesmo dia da semana nas N semanas anteriores
+ * - business: últimos N dias úteis (segunda a sexta)
+ * - all: últimos N dias corridos
+ * Feriados e fechamentos do calendário ficam fora da base (e são substituídos
+ * pelo dia anterior equivalente)
+ * @param {Date} reference - Dia analisado (não entra na base)
+ * @param {Object} options - Sobrescreve a configuração
+ * @param {string} options.mode - weekday | business | all (padrão: API_55_BASELINE)
+ * @param {number} options.weeks - Semanas no modo weekday
+ * @param {number} options.days - Dias nos modos business e all
+ * @returns {Promise<{mode: string, weeks?: number, days?: number, label: string, excluded: Array, dates: Array<Date>}>}
+ */
+export async function getBaselineDates(reference = new Date(), options = {}) {
+  const mode = BASELINE_MODES.includes(options.mode) ? options.mode : config.history.baseline;
+  const isHoliday = await createHolidayChecker();
+  
+  const size = mode === 'weekday'
+    ? options.weeks || config.history.baselineWeeks
+    : options.days || config.history.baselineDays;
+  const step = mode === 'weekday' ? 7 : 1;
+  
+  const dates = [];
+  const excluded = [];
+  
+  // Começa do dia anterior, não inclui o dia analisado (limite evita laço infinito)
+  for (let offset = step; dates.length < size && offset <= (size * 2 + 30) * step; offset += step) {
+    const date = zonedAddDays(reference, -offset);
+    const weekday = zonedDay(date);
+    if (mode === 'business' && (weekday === 0 || weekday === 6)) continue;
+    
+    const holiday = isHoliday(date);
+    if (holiday) {
+      excluded.push({ date: holiday.date, name: holiday.name });
+    } else {
+      dates.push(date);
+    }
+  }
+  
+  const labels = {
+    weekday: `${size} ${WEEKDAY_PLURAL[zonedDay(reference)]} anteriores`,
+    business: `últimos ${size} dias úteis`,
+    all: `últimos ${size} dias`,
+  };
+  
+  return {
+    mode,
+    ...(mode === 'weekday' ? { weeks: size } : { days: size }),
+    label: excluded.length > 0 ? `${labels[mode]}, sem feriados` : labels[mode],
+    excluded,
+    dates,
+  };
+}
+
+/**
+ * Busca o histórico da base de comparação e calcula as médias
+ * Dias fechados vêm do histórico permanente; só os ausentes vão à API
+ * @param {Object} options - Base de comparação (ver getBaselineDates)
+ * @param {Date} reference - Dia analisado (padrão: hoje)
+ * @returns {Promise<Object>} Histórico, médias e base utilizada
+ * @throws {PbxError} Em erros de autenticação ou com a API indisponível
+ */
+export async function fetchHistoricalData(options = {}, reference = new Date()) {
+  const { dates, ...baseline } = await getBaselineDates(reference, options);
+  
+  console.log(`📊 API-55PBX: Buscando histórico (${baseline.label})...`);
+  await sendLog(`📊 Carregando histórico (${baseline.label})...`, 'info');
+  
+  const historico = (await getDaysData(dates)).filter(Boolean);
+  
   if (historico.length === 0) {
     console.log('   ⚠️ Nenhum dado histórico encontrado');
     await sendLog('⚠️ Sem dados históricos', 'warning');
@@ -495,78 +1167,180 @@ export async function fetchHistoricalData(days = 15) {
   const mediaRetidasURA = Math.round(somaRetidasURA / historico.length);
   const mediaTotal = Math.round(somaTotal / historico.length);
   
-  console.log(`   📈 Média ${days} dias: ${mediaAtendidas} atendidas/dia`);
+  // Médias de nível de serviço e tempos (report_01 + tempos gravados do webhook)
+  const tempos = averageTimeMetrics(historico, await getTimeMetricsHistory(dates));
+  
+  console.log(`   📈 Média (${baseline.label}): ${mediaAtendidas} atendidas/dia`);
   await sendLog(`✅ Histórico: ${historico.length} dias | Média: ${mediaAtendidas} atendidas/dia`, 'success');
   
   return {
     dias: historico.length,
+    baseline,
     historico: historico,
     medias: {
       atendidas: mediaAtendidas,
       abandonadas: mediaAbandonadas,
       retidasURA: mediaRetidasURA,
       total: mediaTotal,
+      tempos,
     },
     lastUpdate: new Date().toISOString(),
   };
 }
 
+// Granularidade do horário de corte do ritmo (minutos): limita os cortes
+// distintos guardados no histórico permanente
+const PACE_STEP_MINUTES = 15;
+
+/**
+ * Horário de corte do ritmo: o instante arredondado para baixo no múltiplo de
+ * PACE_STEP_MINUTES (relatórios em hora cheia usam o horário exato)
+ * Arredondar para cima compararia o histórico além do parcial de hoje
+ * (às 12:08, dias anteriores até 12:15) e o ritmo leria baixo
+ * @param {Date} date - Instante (padrão: agora)
+ * @returns {{hour: number, minute: number}}
+ */
+function getPaceCutoff(date = new Date()) {
+  const { hour, minute } = getZonedParts(date);
+  const total = Math.floor((hour * 60 + minute) / PACE_STEP_MINUTES) * PACE_STEP_MINUTES;
+  return { hour: Math.floor(total / 60), minute: total % 60 };
+}
+
+/**
+ * Formata o horário de corte
+ * @param {Object} cutoff - { hour, minute }
+ * @returns {string} "HH:MM"
+ */
+function formatCutoff(cutoff) {
+  return `${String(cutoff.hour).padStart(2, '0')}:${String(cutoff.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Busca o ritmo histórico: o volume da base de comparação até o mesmo horário
+ * de corte e a fração do dia que costuma estar concluída nesse horário
+ * @param {Object} options - Base de comparação (ver getBaselineDates)
+ * @param {Date} reference - Instante analisado (padrão: agora)
+ * @returns {Promise<Object|null>} Médias até o corte e fração do dia, ou null sem dados
+ * @throws {PbxError} Em erros de autenticação ou com a API indisponível
+ */
+export async function fetchPaceData(options = {}, reference = new Date()) {
+  const cutoff = getPaceCutoff(reference);
+  
+  // Antes do primeiro corte do dia não há ritmo a comparar
+  if (cutoff.hour === 0 && cutoff.minute === 0) {
+    return null;
+  }
+  
+  const { dates } = await getBaselineDates(reference, options);
+  const corte = formatCutoff(cutoff);
+  
+  console.log(`⏱️  API-55PBX: Buscando ritmo histórico até ${corte}...`);
+  
+  const diasInteiros = await getDaysData(dates);
+  const diasParciais = await getDaysData(dates, {}, DEFAULT_REPORT, cutoff);
+  
+  // Só entram os dias com o dado parcial e o dia inteiro
+  const pares = diasParciais
+    .map((parcial, index) => ({ parcial, inteiro: diasInteiros[index] }))
+    .filter(({ parcial, inteiro }) => parcial && inteiro);
+  
+  if (pares.length === 0) {
+    return null;
+  }
+  
+  const soma = (lista, campo) => lista.reduce((sum, d) => sum + d[campo], 0);
+  const parciais = pares.map(p => p.parcial);
+  const inteiros = pares.map(p => p.inteiro);
+  
+  const medias = {};
+  const fracoes = {};
+  ['atendidas', 'abandonadas', 'retidasURA', 'total'].forEach(campo => {
+    medias[campo] = Math.round(soma(parciais, campo) / pares.length);
+    
+    // Fração do volume do dia que costuma ter chegado até o corte
+    const inteiro = soma(inteiros, campo);
+    fracoes[campo] = inteiro > 0 ? soma(parciais, campo) / inteiro : 0;
+  });
+  
+  return {
+    corte,
+    dias: pares.length,
+    medias,
+    fracoes,
+    percentualDoDia: Math.round(fracoes.total * 100),
+  };
+}
+
+/**
+ * Projeta o fechamento do dia a partir do volume até agora e da curva habitual
+ * @param {Object} hoje - KPIs do dia até agora
+ * @param {Object} ritmo - Ritmo histórico (fetchPaceData)
+ * @returns {Object} Totais projetados para o fim do dia
+ */
+function projectDayClose(hoje, ritmo) {
+  const projetar = (valor, fracao) => (fracao > 0 ? Math.round(valor / fracao) : valor);
+  
+  return {
+    atendidas: projetar(hoje.answered, ritmo.fracoes.atendidas),
+    abandonadas: projetar(hoje.abandoned, ritmo.fracoes.abandonadas),
+    retidasURA: projetar(hoje.retainedURA, ritmo.fracoes.retidasURA),
+    total: projetar(hoje.totalCalls, ritmo.fracoes.total),
+  };
+}
+
 /**
  * Classifica o nível atual comparado com a média histórica
+ * Faixas, rótulos e emojis vêm da definição da métrica (levels.js): abandono
+ * muito acima da média é crítico, não "altíssimo"
  * @param {number} valorAtual - Valor atual (ex: atendidas de hoje)
  * @param {number} media - Média histórica
+ * @param {Object} definicao - Definição da métrica ({ bands }) - padrão: volume total
  * @returns {Object} Classificação e percentual
  */
-export function classificarNivel(valorAtual, media) {
-  if (media === 0) {
+export function classificarNivel(valorAtual, media, definicao = DEFAULT_LEVELS.total) {
+  // Sem média ou sem o valor de hoje (campo ausente no report_01 e sem webhook)
+  if (!media || valorAtual === null || valorAtual === undefined) {
     return { nivel: 'indefinido', emoji: '⚪', percentual: 0 };
   }
   
   const percentual = Math.round((valorAtual / media) * 100);
   
-  if (percentual < 70) {
-    return { 
-      nivel: 'Abaixo do comum', 
-      emoji: '🔴', 
-      percentual,
-      descricao: `${percentual}% da média (esperado: ${media})`
-    };
-  } else if (percentual < 100) {
-    return { 
-      nivel: 'Médio', 
-      emoji: '🟡', 
-      percentual,
-      descricao: `${percentual}% da média (esperado: ${media})`
-    };
-  } else if (percentual < 130) {
-    return { 
-      nivel: 'Alto', 
-      emoji: '🟢', 
-      percentual,
-      descricao: `${percentual}% da média (esperado: ${media})`
-    };
-  } else {
-    return { 
-      nivel: 'Altíssimo', 
-      emoji: '🔥', 
-      percentual,
-      descricao: `${percentual}% da média (esperado: ${media})`
-    };
-  }
+  // Primeira faixa cujo limite ainda não foi atingido (a última não tem limite)
+  const faixa = definicao.bands.find(band => band.below !== undefined && percentual < band.below)
+    || definicao.bands[definicao.bands.length - 1];
+  
+  return {
+    nivel: faixa.label,
+    emoji: faixa.emoji,
+    percentual,
+    descricao: `${percentual}% da média (esperado: ${media})`,
+  };
 }
 
 /**
  * Analisa o dia atual comparando com histórico
+ * @param {Object} options - Base de comparação (padrão: API_55_BASELINE)
  * @returns {Promise<Object>} Análise completa
  */
-export async function analisarDiaAtual() {
+export async function analisarDiaAtual(options = {}) {
   console.log('📊 API-55PBX: Analisando dia atual vs histórico...');
   
   // Busca KPIs de hoje
   const kpisHoje = await calculateDayKPIs();
   
-  // Busca histórico dos últimos 15 dias
-  const historico = await fetchHistoricalData(15);
+  // Busca o histórico da base de comparação
+  let historico;
+  try {
+    historico = await fetchHistoricalData(options);
+  } catch (error) {
+    return {
+      hoje: kpisHoje,
+      historico: null,
+      analise: null,
+      erro: `55PBX indisponível: ${error.message}`,
+      errorType: error.type || 'unknown',
+    };
+  }
   
   if (!historico) {
     return {
@@ -577,35 +1351,94 @@ export async function analisarDiaAtual() {
     };
   }
   
-  // Classifica cada métrica
+  // Ritmo: mesmos dias da base, só até o horário atual
+  let ritmo = null;
+  try {
+    ritmo = await fetchPaceData(options);
+  } catch (error) {
+    console.error(`   ⚠️ Ritmo indisponível: ${error.message}`);
+  }
+  
+  // Compara o parcial de hoje com o parcial histórico (ou com o dia inteiro, sem ritmo)
+  const medias = ritmo ? ritmo.medias : historico.medias;
+  
+  // Classifica cada métrica com as faixas configuradas (/api/levels)
+  const niveis = await getLevels();
   const analise = {
-    atendidas: classificarNivel(kpisHoje.answered, historico.medias.atendidas),
-    abandonadas: classificarNivel(kpisHoje.abandoned, historico.medias.abandonadas),
-    retidasURA: classificarNivel(kpisHoje.retainedURA, historico.medias.retidasURA),
-    total: classificarNivel(kpisHoje.totalCalls, historico.medias.total),
+    atendidas: classificarNivel(kpisHoje.answered, medias.atendidas, niveis.atendidas),
+    abandonadas: classificarNivel(kpisHoje.abandoned, medias.abandonadas, niveis.abandonadas),
+    retidasURA: classificarNivel(kpisHoje.retainedURA, medias.retidasURA, niveis.retidasURA),
+    total: classificarNivel(kpisHoje.totalCalls, medias.total, niveis.total),
   };
   
+  // Fechamento projetado pela curva habitual, comparado com a média do dia inteiro
+  let projecao = null;
+  if (ritmo) {
+    projecao = projectDayClose(kpisHoje, ritmo);
+    projecao.nivel = classificarNivel(projecao.total, historico.medias.total, niveis.total);
+  }
+  
   console.log(`   📈 Atendidas: ${kpisHoje.answered} (${analise.atendidas.emoji} ${analise.atendidas.nivel})`);
   console.log(`   📈 Abandonadas: ${kpisHoje.abandoned} (${analise.abandonadas.emoji} ${analise.abandonadas.nivel})`);
   console.log(`   📈 Retidas URA: ${kpisHoje.retainedURA} (${analise.retidasURA.emoji} ${analise.retidasURA.nivel})`);
+  if (projecao) {
+    console.log(`   🔮 Fechamento projetado: ${projecao.total} ligações (${projecao.nivel.emoji} ${projecao.nivel.nivel})`);
+  }
+  
+  // Nível de serviço e tempos de hoje x médias da base
+  const temposHoje = await calculateTimeMetrics(kpisHoje);
+  const temposMedias = historico.medias.tempos;
+  const tempos = {
+    hoje: temposHoje,
+    medias: temposMedias,
+    analise: {
+      nivelServico: classificarNivel(temposHoje.serviceLevel, temposMedias.serviceLevel, niveis.nivelServico),
+      tme: classificarNivel(temposHoje.asa, temposMedias.asa, niveis.tme),
+      tma: classificarNivel(temposHoje.aht, temposMedias.aht, niveis.tma),
+    },
+  };
+  
+  const comparacao = ritmo ? `até ${ritmo.corte}, ${historico.baseline.label}` : historico.baseline.label;
   
   return {
     hoje: kpisHoje,
     historico: historico,
+    baseline: historico.baseline,
+    ritmo,
+    projecao,
+    tempos,
     analise: analise,
-    resumo: `Dia ${analise.total.emoji} ${analise.total.nivel} - ${analise.total.percentual}% do esperado`,
+    resumo: `Dia ${analise.total.emoji} ${analise.total.nivel} - ${analise.total.percentual}% do esperado (${comparacao})`,
   };
 }
 
 export default {
   fetchTodayCalls,
   fetchDayData,
+  getDaysData,
+  historyNamespace,
+  getBaselineDates,
   fetchHistoricalData,
+  fetchPaceData,
   calculateDayKPIs,
+  calculateWindowKPIs,
+  calculateQueueKPIs,
+  calculateAgentKPIs,
+  calculateNumberKPIs,
+  fetchHourlyData,
+  fetchNumberHistory,
+  calculateSurveyKPIs,
+  fetchSurveyHistory,
+  compareSurveys,
+  findQueue,
   analisarDiaAtual,
   classificarNivel,
   classifyCallStatus,
   testConnection,
   validateToken,
+  normalizeCallData,
+  detectCallEvent,
   processWebhook,
+  replayDeadLetter,
+  getLiveCalls,
 };
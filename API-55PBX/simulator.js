@@ -0,0 +1,370 @@
+/**
+ * API-55PBX - Simulador Local
+ *
+ * Imita a API de métricas da 55PBX (mesmo formato de path) com volumes
+ * determinísticos por dia da semana e hora, e dispara webhooks falsos em
+ * /webhook/55pbx. Permite exercitar KPIs, análise, WhatsApp e WebSocket
+ * sem a API real. Ativado por API_55_SIMULATOR=true ou API_55_URL=simulator.
+ *
+ * Cada tenant com o simulador ativo tem sua API simulada em
+ * /simulator/t/:tenant/55pbx e recebe as ligações falsas no próprio webhook.
+ */
+
+import { Router } from 'express';
+import axios from 'axios';
+import { randomUUID } from 'crypto';
+import { config, CALL_TYPES } from './config.js';
+import { computeSignature } from './security.js';
+import { getTenantId, tenantScoped } from '../CORE/tenants.js';
+import { zonedHour, zonedDay, toDateKey } from '../CORE/timezone.js';
+
+// Peso de cada dia da semana (0 = domingo)
+const WEEKDAY_FACTOR = [0.1, 1, 0.95, 0.9, 0.9, 0.85, 0.35];
+
+// Curva intradiária (peso de cada hora do dia)
+const HOURLY_WEIGHT = [
+  0, 0, 0, 0, 0, 0, 0.02, 0.1,
+  0.5, 1, 1.2, 1.1, 0.7, 0.8, 1.1, 1,
+  0.9, 0.7, 0.3, 0.1, 0.05, 0.02, 0, 0,
+];
+const HOURLY_TOTAL = HOURLY_WEIGHT.reduce((sum, w) => sum + w, 0);
+
+// Peso das notas da pesquisa (viés para notas altas)
+const SURVEY_WEIGHTS = {
+  nps: [1, 0.5, 0.5, 1, 1, 2, 3, 6, 10, 14, 16],
+  csat: [1, 1, 3, 8, 10],
+};
+
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Gerador pseudoaleatório determinístico (FNV-1a + mulberry32)
+ * @param {string} key - Chave da sequência (combinada com a semente configurada)
+ * @returns {Function} () => número entre 0 e 1
+ */
+function seededRandom(key) {
+  let h = 2166136261;
+  for (const char of `${config.simulator.seed}|${key}`) {
+    h ^= char.charCodeAt(0);
+    h = Math.imul(h, 16777619);
+  }
+
+  return () => {
+    h = (h + 0x6D2B79F5) | 0;
+    let t = Math.imul(h ^ (h >>> 15), h | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parcela do volume que cabe a um filtro (fila, número ou agente)
+ * Divide igualmente entre os itens configurados (3 se nenhum)
+ * @param {Object} filters - Filtros do path
+ * @returns {number} Fator entre 0 e 1
+ */
+function filterShare(filters) {
+  let share = 1;
+  if (filters.queue !== config.defaultFilters.queue) share /= config.queues.length || 3;
+  if (filters.number !== config.defaultFilters.number) share /= config.numbers.length || 3;
+  if (filters.agent !== config.defaultFilters.agent) share /= config.agents.length || 3;
+  return share;
+}
+
+/**
+ * Gera as ligações de uma hora
+ * @param {Date} hourStart - Início da hora
+ * @param {Object} filters - Filtros do path
+ * @returns {Object} Atendidas, abandonadas, retidas e tempos médios
+ */
+function simulateHour(hourStart, filters) {
+  const dayKey = toDateKey(hourStart);
+  const hour = zonedHour(hourStart);
+  const rng = seededRandom(`${dayKey}|${hour}|${filters.queue}|${filters.number}|${filters.agent}`);
+
+  // Variação do dia inteiro (±10%) e da hora (±15%)
+  const dayNoise = 0.9 + seededRandom(dayKey)() * 0.2;
+  const expected = config.simulator.dailyVolume
+    * WEEKDAY_FACTOR[zonedDay(hourStart)]
+    * dayNoise
+    * (HOURLY_WEIGHT[hour] / HOURLY_TOTAL)
+    * filterShare(filters);
+  const calls = Math.round(expected * (0.85 + rng() * 0.3));
+
+  // Filtro por agente: só existem ligações atendidas
+  const isAgent = filters.agent !== config.defaultFilters.agent;
+  const abandoned = isAgent ? 0 : Math.round(calls * (0.05 + rng() * 0.08));
+  const retainedURA = isAgent ? 0 : Math.round(calls * (0.04 + rng() * 0.05));
+
+  // Horas mais cheias têm espera maior
+  const wait = Math.round(10 + HOURLY_WEIGHT[hour] * 30 + rng() * 15);
+
+  return {
+    answered: calls - abandoned - retainedURA,
+    abandoned,
+    retainedURA,
+    wait,
+    talk: Math.round(150 + rng() * 90),
+  };
+}
+
+/**
+ * Formata segundos como HH:MM:SS
+ * @param {number} seconds - Segundos
+ * @returns {string}
+ */
+function toHms(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return [h, m, s].map(v => String(v).padStart(2, '0')).join(':');
+}
+
+/**
+ * Simula o agregado do report_01 de um período
+ * Horas parciais entram proporcionalmente; o futuro não tem ligações
+ * @param {Date} dateStart - Início do período
+ * @param {Date} dateEnd - Fim do período
+ * @param {Object} filters - Filtros do path
+ * @returns {Object} Resposta no formato da 55PBX
+ */
+function simulatePeriod(dateStart, dateEnd, filters) {
+  const end = Math.min(dateEnd.getTime(), Date.now());
+  const totals = { answered: 0, abandoned: 0, retainedURA: 0, waitSum: 0, talkSum: 0 };
+
+  for (let t = Math.floor(dateStart.getTime() / HOUR_MS) * HOUR_MS; t < end; t += HOUR_MS) {
+    const overlap = Math.min(t + HOUR_MS, end + 1000) - Math.max(t, dateStart.getTime());
+    if (overlap <= 0) continue;
+
+    const fraction = Math.min(overlap / HOUR_MS, 1);
+    const hour = simulateHour(new Date(t), filters);
+    const answered = Math.round(hour.answered * fraction);
+
+    totals.answered += answered;
+    totals.abandoned += Math.round(hour.abandoned * fraction);
+    totals.retainedURA += Math.round(hour.retainedURA * fraction);
+    totals.waitSum += hour.wait * answered;
+    totals.talkSum += hour.talk * answered;
+  }
+
+  const avgWait = totals.answered > 0 ? Math.round(totals.waitSum / totals.answered) : 0;
+  const avgTalk = totals.answered > 0 ? Math.round(totals.talkSum / totals.answered) : 0;
+
+  return {
+    totalCallAttendedReceptive: String(totals.answered),
+    totalCallAbandonedQueue: String(totals.abandoned),
+    totalCallAbandonedURA: String(totals.retainedURA),
+    timeMediumWaitingAttendance: toHms(avgWait),
+    timeMediumDurationCall: toHms(avgTalk),
+    sla_attendance: `${totals.answered > 0 ? Math.max(50, Math.min(99, Math.round(100 - avgWait / 2))) : 0}%`,
+  };
+}
+
+/**
+ * Simula as respostas da pesquisa de um período (~20% das atendidas)
+ * @param {Date} dateStart - Início do período
+ * @param {Date} dateEnd - Fim do período
+ * @param {Object} filters - Filtros do path (inclui quiz_id)
+ * @returns {Array<{score: number}>} Respostas
+ */
+function simulateSurvey(dateStart, dateEnd, filters) {
+  const answered = parseInt(simulatePeriod(dateStart, dateEnd, filters).totalCallAttendedReceptive);
+  const rng = seededRandom(`survey|${filters.quiz_id}|${dateStart.getTime()}|${dateEnd.getTime()}`);
+  const weights = SURVEY_WEIGHTS[config.survey.scale] || SURVEY_WEIGHTS.nps;
+  const min = config.survey.scale === 'csat' ? 1 : 0;
+  const total = weights.reduce((sum, w) => sum + w, 0);
+
+  return Array.from({ length: Math.round(answered * (0.15 + rng() * 0.1)) }, () => {
+    let pick = rng() * total;
+    const index = weights.findIndex(w => (pick -= w) < 0);
+    return { score: min + (index === -1 ? weights.length - 1 : index) };
+  });
+}
+
+/**
+ * Converte a data do path ("Fri May 22 2020 00:00:00 GMT -0300")
+ * @param {string} value - Segmento do path
+ * @returns {Date|null}
+ */
+function parsePathDate(value) {
+  const date = new Date(String(value).replace('GMT ', 'GMT'));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// =============================================
+// API de métricas simulada
+// =============================================
+
+export const simulatorRouter = Router();
+
+// Só responde aos tenants com o simulador ativo
+// Mesmo controle de acesso da API real: header key obrigatório
+simulatorRouter.use((req, res, next) => {
+  if (!config.simulator.enabled) {
+    return res.status(404).json({ error: 'Endpoint não encontrado' });
+  }
+  if (!req.headers.key) {
+    return res.status(401).json({ error: 'Token ausente' });
+  }
+  next();
+});
+
+// Teste de conexão (GET na URL base)
+simulatorRouter.get('/', (req, res) => {
+  res.json({ status: 'ok', simulator: true });
+});
+
+simulatorRouter.get('/:start/:end/:queue/:number/:agent/:report/:quiz_id/:timezone/:interval?', (req, res) => {
+  const dateStart = parsePathDate(req.params.start);
+  const dateEnd = parsePathDate(req.params.end);
+  if (!dateStart || !dateEnd) {
+    return res.status(400).json({ error: 'Data inválida' });
+  }
+
+  const filters = {
+    queue: req.params.queue,
+    number: req.params.number,
+    agent: req.params.agent,
+    quiz_id: req.params.quiz_id,
+  };
+
+  if (req.params.report === config.survey.report) {
+    return res.json(simulateSurvey(dateStart, dateEnd, filters));
+  }
+
+  res.json(simulatePeriod(dateStart, dateEnd, filters));
+});
+
+// =============================================
+// Webhooks simulados
+// =============================================
+
+// Disparo de cada tenant (tenant -> intervalo) e eventos pendentes (timer -> tenant)
+const webhookTimers = new Map();
+const pendingEnds = new Map();
+const webhookStats = tenantScoped(() => ({ sent: 0, failed: 0 }));
+
+/**
+ * Envia um evento ao webhook local do tenant (com token e, se houver segredo, assinatura HMAC)
+ * @param {Object} payload - Evento no formato da 55PBX
+ */
+async function postWebhook(payload) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', token: config.webhook.token };
+
+  if (config.webhook.secret) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = randomUUID();
+    headers[config.webhook.timestampHeader] = timestamp;
+    headers[config.webhook.nonceHeader] = nonce;
+    headers[config.webhook.signatureHeader] = computeSignature(timestamp, body, nonce);
+  }
+
+  try {
+    await axios.post(config.simulator.webhookUrl, body, { headers, timeout: 5000 });
+    webhookStats.sent++;
+  } catch (error) {
+    webhookStats.failed++;
+    console.warn(`⚠️  Simulador 55PBX: Webhook recusado (${error.response?.status || error.code}): ${error.message}`);
+  }
+}
+
+/**
+ * Simula uma ligação: evento de início agora, de atendimento após a espera
+ * (só nas atendidas) e de fim após espera + conversa
+ * Durações encurtadas (segundos) para o painel ao vivo se mexer
+ */
+async function simulateCall() {
+  const queues = config.queues.length > 0 ? config.queues.map(q => q.id) : ['101', '102', '103'];
+  const outcome = Math.random();
+  const retained = outcome >= 0.93;
+  const abandoned = !retained && outcome >= 0.85;
+
+  const call = {
+    call_id: randomUUID(),
+    call_date: new Date().toISOString(),
+    call_type: CALL_TYPES.inbound,
+    call_status: '',
+    call_queue: retained ? '' : queues[Math.floor(Math.random() * queues.length)],
+    call_ura: 'URA Principal',
+    call_time_waiting: 0,
+    call_duration: 0,
+  };
+
+  await postWebhook(call);
+
+  const wait = Math.round(5 + Math.random() * 40);
+  const talk = abandoned || retained ? 0 : Math.round(30 + Math.random() * 150);
+
+  // Atendimento: evento intermediário (sem duração) quando o agente atende
+  if (talk > 0) {
+    const answerTimer = setTimeout(() => {
+      pendingEnds.delete(answerTimer);
+      postWebhook({ ...call, call_status: 'ANSWERED', call_time_waiting: wait });
+    }, wait * 1000);
+    pendingEnds.set(answerTimer, getTenantId());
+  }
+
+  const timer = setTimeout(() => {
+    pendingEnds.delete(timer);
+    postWebhook({
+      ...call,
+      call_status: retained ? 'URA' : abandoned ? 'ABANDONED' : 'ANSWERED',
+      call_time_waiting: wait,
+      call_duration: talk,
+      call_disconnection: abandoned || retained ? 'client' : 'agent',
+    });
+  }, (wait + talk) * 1000);
+  pendingEnds.set(timer, getTenantId());
+}
+
+/**
+ * Inicia o disparo de webhooks falsos do tenant atual
+ * Os eventos herdam o contexto do tenant (chamar dentro de runWithTenant)
+ * @param {number} rate - Ligações por minuto (padrão: API_55_SIMULATOR_WEBHOOK_RATE)
+ * @returns {boolean} True se iniciou
+ */
+export function startWebhookSimulation(rate = config.simulator.webhookRate) {
+  const tenantId = getTenantId();
+  if (!config.simulator.enabled || rate <= 0 || webhookTimers.has(tenantId)) {
+    return false;
+  }
+
+  webhookTimers.set(tenantId, setInterval(simulateCall, Math.max(Math.round(60000 / rate), 100)));
+  console.log(`🧪 Simulador 55PBX: Disparando ${rate} ligações/minuto em ${config.simulator.webhookUrl}`);
+  return true;
+}
+
+/**
+ * Para o disparo de webhooks falsos de todos os tenants (inclusive os fins de ligação pendentes)
+ */
+export function stopWebhookSimulation() {
+  webhookTimers.forEach(timer => clearInterval(timer));
+  webhookTimers.clear();
+  pendingEnds.forEach((_, timer) => clearTimeout(timer));
+  pendingEnds.clear();
+}
+
+/**
+ * Retorna o estado do simulador do tenant atual
+ * @returns {Object} Status
+ */
+export function getSimulatorStatus() {
+  const tenantId = getTenantId();
+  return {
+    enabled: config.simulator.enabled,
+    apiUrl: config.apiUrl,
+    dailyVolume: config.simulator.dailyVolume,
+    webhookRate: webhookTimers.has(tenantId) ? config.simulator.webhookRate : 0,
+    webhooksSent: webhookStats.sent,
+    webhooksFailed: webhookStats.failed,
+    pendingCalls: Array.from(pendingEnds.values()).filter(id => id === tenantId).length,
+  };
+}
+
+export default {
+  simulatorRouter,
+  startWebhookSimulation,
+  stopWebhookSimulation,
+  getSimulatorStatus,
+};
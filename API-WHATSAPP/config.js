@@ -5,34 +5,68 @@
  */
 
 import dotenv from 'dotenv';
+import { tenantScoped } from '../CORE/tenants.js';
 dotenv.config();
 
-export const config = {
-  // URL base da API Baileys
-  apiUrl: process.env.WHATSAPP_API_URL || 'https://baileys-api-relat-rios.onrender.com',
-  
-  // Número de destino para relatórios - OBRIGATÓRIO via .env
-  destination: process.env.WHATSAPP_DESTINATION || '',
-  
-  // Endpoints da API
-  endpoints: {
-    status: '/status',
-    grupos: '/grupos',
-    enviar: '/enviar',
-    enviarRelatorio: '/enviar-relatorio',
-    enviarRelatorioTodos: '/enviar-relatorio-todos',
-  },
-  
-  // Timeout para requisições (ms) - 60s para acordar o Render
-  timeout: 60000,
-};
+/**
+ * Monta as configurações de um tenant a partir das variáveis de ambiente
+ * @param {Function} env - Leitor de variáveis do tenant (CORE/tenants.js)
+ * @returns {Object} Configurações
+ */
+function createConfig(env) {
+  return {
+    // URL base da API Baileys
+    apiUrl: env('WHATSAPP_API_URL') || 'https://baileys-api-relat-rios.onrender.com',
+    
+    // Transporte de envio: baileys (API real) ou sandbox (caixa de saída local, nada é enviado)
+    transport: env('WHATSAPP_TRANSPORT') || 'baileys',
+    
+    // Número de destino para relatórios - OBRIGATÓRIO via .env
+    destination: env('WHATSAPP_DESTINATION') || '',
+    
+    // Endpoints da API
+    endpoints: {
+      status: '/status',
+      grupos: '/grupos',
+      enviar: '/enviar',
+      enviarRelatorio: '/enviar-relatorio',
+      enviarRelatorioTodos: '/enviar-relatorio-todos',
+    },
+    
+    // Seções opcionais do relatório
+    report: {
+      // Ranking diário de agentes (requer API_55_AGENTS)
+      agentLeaderboard: env('REPORT_AGENT_LEADERBOARD') === 'true',
+      
+      // Quantidade de agentes exibidos no ranking
+      leaderboardSize: parseInt(env('REPORT_AGENT_LEADERBOARD_SIZE')) || 5,
+      
+      // Satisfação do cliente (requer API_55_SURVEYS)
+      survey: env('REPORT_SURVEY') === 'true',
+      
+      // Nível de serviço e tempos (TME, TMA, abandono) - ativo por padrão
+      timeMetrics: env('REPORT_TIME_METRICS') !== 'false',
+      
+      // Previsão de amanhã e escala recomendada nos relatórios a partir da hora indicada
+      forecast: env('REPORT_FORECAST') === 'true',
+      forecastFromHour: parseInt(env('REPORT_FORECAST_FROM_HOUR') ?? 17),
+    },
+    
+    // Timeout para requisições (ms) - 60s para acordar o Render
+    timeout: 60000,
+  };
+}
+
+// Configurações do tenant da execução atual (ver CORE/tenants.js)
+export const config = tenantScoped(createConfig);
 
 /**
  * Verifica se a API está configurada
+ * No sandbox nada é enviado, então não exige URL nem destino
  * @returns {boolean}
  */
 export function isConfigured() {
-  return !!(config.apiUrl && config.destination);
+  return config.transport === 'sandbox' || !!(config.apiUrl && config.destination);
 }
 
 export default config;
@@ -4,17 +4,9 @@
  * Integração com a API Baileys hospedada no Render
  */
 
-import axios from 'axios';
 import { config, isConfigured } from './config.js';
-
-// Cria instância do axios
-const api = axios.create({
-  baseURL: config.apiUrl,
-  timeout: config.timeout,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+import { getTransport } from './transports.js';
+import { getPeriodLabel, formatDateBR, formatTimeBR, parseDateKey } from '../CORE/timezone.js';
 
 /**
  * Envia uma mensagem simples via WhatsApp
@@ -34,16 +26,16 @@ export async function sendMessage(mensagem, numero = null) {
   try {
     console.log(`📱 WhatsApp: Enviando mensagem para ${targetNumber}...`);
     
-    const response = await api.post(config.endpoints.enviar, {
+    const data = await getTransport().send(config.endpoints.enviar, {
       numero: targetNumber,
       mensagem: mensagem,
-    });
+    }, { type: 'message', recipient: targetNumber });
     
     console.log('✅ WhatsApp: Mensagem enviada com sucesso!');
     
     return {
       success: true,
-      data: response.data,
+      data,
     };
     
   } catch (error) {
@@ -75,16 +67,26 @@ export async function sendRelatorio(kpis, analise = null) {
     return { success: false, error: 'API não configurada' };
   }
   
+  // 55PBX indisponível: avisa em vez de enviar números zerados
+  if (kpis.unavailable) {
+    console.warn(`⚠️  WhatsApp: 55PBX indisponível, enviando aviso (${kpis.errorType})`);
+    return sendMessage(formatUnavailableReport(kpis));
+  }
+  
+  // Feriado ou fechamento da empresa: avisa antes dos números do dia
+  if (kpis.holiday) {
+    await sendMessage(formatHolidayNotice(kpis.holiday));
+  }
+  
   const numero = config.destination;
   const jid = `${numero}@s.whatsapp.net`;
   
-  // Determina o período (Manhã ou Tarde)
-  const hora = new Date().getHours();
-  const periodo = hora < 12 ? 'Manhã' : 'Tarde';
+  // Determina o período (Manhã ou Tarde) no fuso configurado
+  const now = new Date();
+  const periodo = getPeriodLabel(now);
   
   // Formata a data
-  const now = new Date();
-  const data = now.toLocaleDateString('pt-BR'); // DD/MM/AAAA
+  const data = formatDateBR(now); // DD/MM/AAAA
   
   // Monta o payload no formato esperado pela API
   const payload = {
@@ -109,7 +111,7 @@ export async function sendRelatorio(kpis, analise = null) {
     console.log(`📊 WhatsApp: Enviando relatório para ${numero}...`);
     console.log('   Payload:', JSON.stringify(payload, null, 2));
     
-    const response = await api.post(config.endpoints.enviarRelatorio, payload);
+    const data = await getTransport().send(config.endpoints.enviarRelatorio, payload, { type: 'report', recipient: numero });
     
     console.log('✅ WhatsApp: Relatório enviado com sucesso!');
     
@@ -118,9 +120,39 @@ export async function sendRelatorio(kpis, analise = null) {
       await sendAnaliseHistorica(analise);
     }
     
+    // Nível de serviço e tempos, com as médias da base quando houver análise
+    if (config.report.timeMetrics && kpis.timeMetrics) {
+      await sendTempos(kpis.timeMetrics, analise?.tempos?.medias, analise?.tempos?.analise);
+    }
+    
+    // Se tiver a curva hora a hora, envia o volume intradiário
+    if (kpis.hourly && kpis.hourly.some(h => h.total > 0)) {
+      await sendCurvaHoraria(kpis.hourly, kpis.peakHour);
+    }
+    
+    // Se tiver KPIs por fila, envia o detalhamento
+    if (kpis.queues && kpis.queues.length > 0) {
+      await sendFilas(kpis.queues);
+    }
+    
+    // Se tiver ranking de agentes, envia o leaderboard
+    if (kpis.agents && kpis.agents.length > 0) {
+      await sendRanking(kpis.agents);
+    }
+    
+    // Se tiver respostas de pesquisa, envia a satisfação do cliente
+    if (kpis.surveys && kpis.surveys.some(survey => survey.responses > 0)) {
+      await sendSatisfacao(kpis.surveys);
+    }
+    
+    // Se tiver a previsão de amanhã, envia a escala recomendada
+    if (kpis.forecast) {
+      await sendPrevisao(kpis.forecast);
+    }
+    
     return {
       success: true,
-      data: response.data,
+      data,
     };
     
   } catch (error) {
@@ -139,7 +171,7 @@ export async function sendRelatorio(kpis, analise = null) {
 }
 
 /**
- * Envia mensagem com análise histórica (comparativo 15 dias)
+ * Envia mensagem com análise histórica (comparativo com a base configurada)
  * @param {Object} analise - Dados da análise
  * @returns {Promise<Object>} Resultado do envio
  */
@@ -148,33 +180,48 @@ async function sendAnaliseHistorica(analise) {
     return { success: false, error: 'Sem dados de análise' };
   }
   
-  const { hoje, historico, analise: niveis } = analise;
+  const { hoje, historico, ritmo, projecao, analise: niveis } = analise;
   
   // Monta a mensagem de análise
   const totalAnalise = niveis.total;
   const emoji = totalAnalise.emoji || '📊';
   const nivel = totalAnalise.nivel || 'Indefinido';
   const percentual = totalAnalise.percentual || 0;
+  const base = historico.baseline?.label || `últimos ${historico.dias} dias`;
+  
+  // Com ritmo, hoje é comparado com a base até o mesmo horário
+  const medias = ritmo ? ritmo.medias : historico.medias;
+  const titulo = ritmo ? `Ritmo da operação: ${nivel}` : `Média da operação: ${nivel}`;
+  const comparacao = ritmo ? `${base}, até as ${ritmo.corte}` : base;
+  const rotuloMedia = ritmo ? `média até ${ritmo.corte}` : 'média';
+  const volume = ritmo ? `Ritmo: ${percentual}% do esperado até ${ritmo.corte}` : `Volume total: ${percentual}% da média`;
+  
+  const fechamento = projecao
+    ? `
+🔮 *Fechamento projetado: ~${projecao.total} ligações*
+   ${projecao.nivel.emoji} ${projecao.nivel.nivel} - ${projecao.nivel.percentual}% da média do dia (${historico.medias.total})
+   _${ritmo.percentualDoDia}% do volume costuma chegar até ${ritmo.corte}_`
+    : '';
   
   // Texto da mensagem
-  const mensagem = `${emoji} *Média da operação: ${nivel}*
-comparado com os últimos 15 dias
+  const mensagem = `${emoji} *${titulo}*
+comparado com ${comparacao}
 
 📊 *Análise Detalhada:*
 ━━━━━━━━━━━━━━━━━━━━━━━━
 
-✅ Atendidas: ${hoje.answered} (média: ${historico.medias.atendidas})
-   ${niveis.atendidas.emoji} ${niveis.atendidas.percentual}% do esperado
+✅ Atendidas: ${hoje.answered} (${rotuloMedia}: ${medias.atendidas})
+   ${niveis.atendidas.emoji} ${niveis.atendidas.nivel} - ${niveis.atendidas.percentual}% do esperado
 
-📵 Abandonadas: ${hoje.abandoned} (média: ${historico.medias.abandonadas})
-   ${niveis.abandonadas.emoji} ${niveis.abandonadas.percentual}% do esperado
+📵 Abandonadas: ${hoje.abandoned} (${rotuloMedia}: ${medias.abandonadas})
+   ${niveis.abandonadas.emoji} ${niveis.abandonadas.nivel} - ${niveis.abandonadas.percentual}% do esperado
 
-🔄 Retidas URA: ${hoje.retainedURA} (média: ${historico.medias.retidasURA})
-   ${niveis.retidasURA.emoji} ${niveis.retidasURA.percentual}% do esperado
+🔄 Retidas URA: ${hoje.retainedURA} (${rotuloMedia}: ${medias.retidasURA})
+   ${niveis.retidasURA.emoji} ${niveis.retidasURA.nivel} - ${niveis.retidasURA.percentual}% do esperado
 
 ━━━━━━━━━━━━━━━━━━━━━━━━
-📈 *Volume total: ${percentual}% da média*
-_Baseado nos últimos ${historico.dias} dias úteis_`;
+📈 *${volume}*${fechamento}
+_Base: ${base} · ${historico.dias} dias com dados_`;
 
   try {
     console.log(`📈 WhatsApp: Enviando análise histórica...`);
@@ -196,6 +243,416 @@ _Baseado nos últimos ${historico.dias} dias úteis_`;
   }
 }
 
+/**
+ * Formata a mensagem de um alerta em tempo real
+ * @param {Object} alert - Alerta ({ status: triggered | reminder | resolved, name, queue, detail, since, at })
+ * @returns {string} Mensagem formatada
+ */
+export function formatAlertMessage(alert) {
+  const titulos = {
+    triggered: '🚨 *ALERTA',
+    reminder: '⏰ *ALERTA CONTINUA',
+    resolved: '✅ *RESOLVIDO',
+  };
+  
+  const desde = formatTimeBR(new Date(alert.since), { hour: '2-digit', minute: '2-digit' });
+  const duracao = Math.round((new Date(alert.at) - new Date(alert.since)) / 60000);
+  
+  const linhas = [`${titulos[alert.status] || titulos.triggered}: ${alert.name}*`];
+  if (alert.queue) {
+    linhas.push(`📋 Fila: ${alert.queue}`);
+  }
+  linhas.push(`📊 ${alert.detail}`);
+  linhas.push(alert.status === 'triggered' ? `🕐 Desde ${desde}` : `🕐 Desde ${desde} (${duracao} min)`);
+  
+  return `${linhas.join('\n')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━
+_55SYSTEM | Alertas_`;
+}
+
+/**
+ * Formata o aviso de relatório gerado em feriado ou fechamento da empresa
+ * @param {Object} holiday - Feriado ({ date, name, type: national | company })
+ * @returns {string} Mensagem formatada
+ */
+export function formatHolidayNotice(holiday) {
+  const tipo = holiday.type === 'company' ? 'Fechamento da empresa' : 'Feriado nacional';
+  
+  return `📅 *${tipo}: ${holiday.name}*
+Hoje não é dia útil. Os números a seguir não entram nas médias históricas.`;
+}
+
+/**
+ * Formata o aviso de relatório não gerado por indisponibilidade da 55PBX
+ * @param {Object} kpis - KPIs com error/errorType
+ * @returns {string} Mensagem formatada
+ */
+export function formatUnavailableReport(kpis) {
+  const motivos = {
+    auth: 'credenciais recusadas pela 55PBX',
+    not_found: 'endpoint da 55PBX não encontrado',
+    rate_limited: 'limite de requisições da 55PBX atingido',
+    timeout: 'a 55PBX não respondeu a tempo',
+    server: 'erro interno na 55PBX',
+    network: 'sem conexão com a 55PBX',
+    unavailable: 'a 55PBX está fora do ar',
+  };
+  
+  return `⚠️ *Relatório indisponível*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+Não foi possível gerar o relatório de ${formatDateBR()}: ${motivos[kpis.errorType] || 'falha ao consultar a 55PBX'}.
+
+_${kpis.error}_
+
+Os números serão enviados no próximo disparo.`;
+}
+
+/**
+ * Formata a curva de volume hora a hora para mensagem WhatsApp
+ * Exibe apenas o intervalo entre a primeira e a última hora com ligações
+ * @param {Array} hours - Volume por hora (fetchHourlyData)
+ * @param {Object} peakHour - Horário de pico
+ * @returns {string} Mensagem formatada
+ */
+export function formatHourlyCurve(hours, peakHour = null) {
+  const first = hours.findIndex(h => h.total > 0);
+  const last = hours.length - 1 - [...hours].reverse().findIndex(h => h.total > 0);
+  const visible = hours.slice(first, last + 1);
+  const max = Math.max(...visible.map(h => h.total), 1);
+  
+  const linhas = visible.map(h => {
+    const barra = '▇'.repeat(Math.round((h.total / max) * 10)) || '▏';
+    return `${h.hour.substring(0, 2)}h ${barra} ${h.total}`;
+  });
+  
+  return `🕐 *Volume por hora*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+${linhas.join('\n')}
+${peakHour ? `\n🔝 Pico: *${peakHour.hour}* (${peakHour.count} lig.)` : ''}
+━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Envia mensagem com a curva de volume hora a hora
+ * @param {Array} hours - Volume por hora
+ * @param {Object} peakHour - Horário de pico
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendCurvaHoraria(hours, peakHour) {
+  try {
+    console.log('🕐 WhatsApp: Enviando volume por hora...');
+    
+    // Pequeno delay para não enviar junto
+    await new Promise(r => setTimeout(r, 2000));
+    
+    return await sendMessage(formatHourlyCurve(hours, peakHour));
+    
+  } catch (error) {
+    console.error('❌ WhatsApp: Erro ao enviar volume por hora:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Formata o detalhamento por fila para mensagem WhatsApp
+ * @param {Array} queues - KPIs por fila (calculateQueueKPIs)
+ * @returns {string} Mensagem formatada
+ */
+export function formatQueueReport(queues) {
+  const blocos = queues.map(q => {
+    const total = q.totalCalls || 0;
+    const answeredPct = total > 0 ? Math.round((q.answered / total) * 100) : 0;
+    const rateEmoji = answeredPct >= 80 ? '🟢' : answeredPct >= 60 ? '🟡' : '🔴';
+    
+    return `${rateEmoji} *${q.name}* - ${total} ligações
+✅ Atendidas: ${q.answered} (${answeredPct}%)
+📵 Abandonadas: ${q.abandoned}
+🔄 Retidas URA: ${q.retainedURA}
+🎯 Nível de serviço: ${q.serviceLevel !== null && q.serviceLevel !== undefined ? `${q.serviceLevel}%` : '-'}`;
+  });
+  
+  return `🗂️ *Resultado por fila*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+${blocos.join('\n\n')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Envia mensagem com o detalhamento por fila
+ * @param {Array} queues - KPIs por fila
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendFilas(queues) {
+  try {
+    console.log('🗂️ WhatsApp: Enviando detalhamento por fila...');
+    
+    // Pequeno delay para não enviar junto
+    await new Promise(r => setTimeout(r, 2000));
+    
+    return await sendMessage(formatQueueReport(queues));
+    
+  } catch (error) {
+    console.error('❌ WhatsApp: Erro ao enviar filas:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Formata segundos como MM:SS
+ * @param {number} seconds - Segundos
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const min = Math.floor((seconds || 0) / 60);
+  const sec = (seconds || 0) % 60;
+  return `${String(min).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+}
+
+/**
+ * Formata o ranking diário de agentes para mensagem WhatsApp
+ * @param {Array} agents - Agentes ordenados (calculateAgentKPIs)
+ * @returns {string} Mensagem formatada
+ */
+export function formatAgentLeaderboard(agents) {
+  const medalhas = ['🥇', '🥈', '🥉'];
+  
+  const linhas = agents
+    .slice(0, config.report.leaderboardSize)
+    .map((agent, index) => `${medalhas[index] || `${index + 1}.`} *${agent.name}* - ${agent.answered} atendidas
+   🗣️ ${formatDuration(agent.avgTalkTime)} conversa | ⏳ ${formatDuration(agent.avgWaitTime)} espera`);
+  
+  return `🏆 *Ranking de agentes do dia*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+${linhas.join('\n\n')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Envia mensagem com o ranking de agentes
+ * @param {Array} agents - Agentes ordenados
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendRanking(agents) {
+  try {
+    console.log('🏆 WhatsApp: Enviando ranking de agentes...');
+    
+    // Pequeno delay para não enviar junto
+    await new Promise(r => setTimeout(r, 2000));
+    
+    return await sendMessage(formatAgentLeaderboard(agents));
+    
+  } catch (error) {
+    console.error('❌ WhatsApp: Erro ao enviar ranking:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Formata um valor com a média histórica e a variação (ex: "62 (média: 55, ▲ 7)")
+ * @param {number|null} valor - Valor atual
+ * @param {number|null} media - Média histórica
+ * @param {number|null} diferenca - Diferença em pontos
+ * @param {string} sufixo - Ex: "%"
+ * @returns {string}
+ */
+function formatVsMedia(valor, media, diferenca, sufixo = '') {
+  if (media === null || media === undefined) {
+    return `${valor}${sufixo}`;
+  }
+  
+  const seta = diferenca > 0 ? '▲' : diferenca < 0 ? '▼' : '=';
+  return `${valor}${sufixo} (média: ${media}${sufixo}, ${seta} ${Math.abs(diferenca)})`;
+}
+
+/**
+ * Formata a satisfação do cliente (pesquisas pós-atendimento) para mensagem WhatsApp
+ * @param {Array} surveys - Pesquisas (calculateSurveyKPIs + compareSurveys)
+ * @returns {string} Mensagem formatada
+ */
+export function formatSurveyReport(surveys) {
+  const blocos = surveys
+    .filter(survey => survey.responses > 0)
+    .map(survey => {
+      const medias = survey.historico?.medias || {};
+      const comparacao = survey.comparacao || {};
+      const linhas = [`*${survey.name}* - ${survey.responses} respostas${survey.participacao !== null ? ` (${survey.participacao}% das atendidas)` : ''}`];
+      
+      if (survey.nps !== null) {
+        const npsEmoji = survey.nps >= 50 ? '🟢' : survey.nps >= 0 ? '🟡' : '🔴';
+        linhas.push(`${npsEmoji} NPS: ${formatVsMedia(survey.nps, medias.nps, comparacao.nps)}`);
+      }
+      linhas.push(`😊 CSAT: ${formatVsMedia(survey.csat, medias.csat, comparacao.csat, '%')}`);
+      linhas.push(`⭐ Nota média: ${survey.average}`);
+      
+      return linhas.join('\n');
+    });
+  
+  return `⭐ *Satisfação do cliente*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+${blocos.join('\n\n')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Envia mensagem com a satisfação do cliente
+ * @param {Array} surveys - Pesquisas
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendSatisfacao(surveys) {
+  try {
+    console.log('⭐ WhatsApp: Enviando satisfação do cliente...');
+    
+    // Pequeno delay para não enviar junto
+    await new Promise(r => setTimeout(r, 2000));
+    
+    return await sendMessage(formatSurveyReport(surveys));
+    
+  } catch (error) {
+    console.error('❌ WhatsApp: Erro ao enviar satisfação:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Formata o nível de serviço e os tempos do dia para mensagem WhatsApp
+ * @param {Object} tempos - Métricas de tempo (calculateTimeMetrics)
+ * @param {Object} medias - Médias históricas (averageTimeMetrics), opcional
+ * @param {Object} niveis - Classificação frente às médias (analisarDiaAtual), opcional
+ * @returns {string} Mensagem formatada
+ */
+export function formatTimeMetrics(tempos, medias = null, niveis = null) {
+  const media = (valor, formatar) => (valor !== null && valor !== undefined ? ` (média: ${formatar(valor)})` : '');
+  const pct = valor => `${valor}%`;
+  
+  // Emoji e rótulo da faixa quando há média para comparar
+  const nivel = metrica => {
+    const classificacao = niveis?.[metrica];
+    return classificacao && classificacao.nivel !== 'indefinido'
+      ? `\n   ${classificacao.emoji} ${classificacao.nivel}`
+      : '';
+  };
+  
+  const linhas = [];
+  
+  if (tempos.serviceLevel !== null) {
+    linhas.push(`🎯 Nível de serviço: ${pct(tempos.serviceLevel)}${media(medias?.serviceLevel, pct)}${nivel('nivelServico')}`);
+  }
+  
+  tempos.serviceLevels.forEach(level => {
+    const historico = medias?.serviceLevels?.find(m => m.threshold === level.threshold);
+    linhas.push(`   ⏱️ Em até ${level.threshold}s: ${pct(level.percent)}${media(historico?.percent, pct)}`);
+  });
+  
+  if (tempos.asa !== null) {
+    linhas.push(`⏳ TME (espera): ${formatDuration(tempos.asa)}${media(medias?.asa, formatDuration)}${nivel('tme')}`);
+  }
+  if (tempos.aht !== null) {
+    linhas.push(`🗣️ TMA (atendimento): ${formatDuration(tempos.aht)}${media(medias?.aht, formatDuration)}${nivel('tma')}`);
+  }
+  if (tempos.avgAbandonTime !== null) {
+    linhas.push(`📵 Tempo até abandonar: ${formatDuration(tempos.avgAbandonTime)}${media(medias?.avgAbandonTime, formatDuration)}`);
+  }
+  
+  return `⏱️ *Nível de serviço e tempos*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+${linhas.join('\n')}
+
+━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Envia mensagem com o nível de serviço e os tempos
+ * @param {Object} tempos - Métricas de tempo
+ * @param {Object} medias - Médias históricas (opcional)
+ * @param {Object} niveis - Classificação frente às médias (opcional)
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendTempos(tempos, medias, niveis) {
+  try {
+    console.log('⏱️ WhatsApp: Enviando nível de serviço e tempos...');
+    
+    // Pequeno delay para não enviar junto
+    await new Promise(r => setTimeout(r, 2000));
+    
+    return await sendMessage(formatTimeMetrics(tempos, medias, niveis));
+    
+  } catch (error) {
+    console.error('❌ WhatsApp: Erro ao enviar tempos:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Formata a previsão de amanhã e a escala recomendada para mensagem WhatsApp
+ * Exibe apenas as horas com ligações previstas
+ * @param {Object} forecast - Previsão (forecastDay)
+ * @returns {string} Mensagem formatada
+ */
+export function formatForecast(forecast) {
+  const dia = formatDateBR(parseDateKey(forecast.date), { weekday: 'long', day: '2-digit', month: '2-digit' });
+  
+  if (forecast.holiday) {
+    return `🔮 *Amanhã (${dia})*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+📅 ${forecast.holiday.name}: sem previsão de volume nem escala.`;
+  }
+  
+  const tendencia = Math.round((forecast.trend.factor - 1) * 100);
+  const sinal = tendencia > 0 ? '+' : '';
+  const meta = `${forecast.target.serviceLevel}% em ${forecast.target.threshold}s`;
+  
+  const agentes = n => (n === null ? '? agentes' : `${n} agente${n === 1 ? '' : 's'}`);
+  const linhas = forecast.hours
+    .filter(h => h.calls > 0)
+    .map(h => `${h.hour.substring(0, 2)}h  ${h.calls} lig. → ${agentes(h.agents)}`);
+  
+  const escala = forecast.aht
+    ? `👥 *Escala recomendada* (meta ${meta}, TMA ${formatDuration(forecast.aht)})`
+    : '👥 *Escala*: sem TMA para calcular os agentes';
+  
+  return `🔮 *Amanhã (${dia})*
+━━━━━━━━━━━━━━━━━━━━━━━━
+
+📞 Volume previsto: *~${forecast.total} ligações*
+   _${forecast.baseline.label} (média ${forecast.weekdayMean}), tendência ${sinal}${tendencia}%_
+
+${escala}
+${linhas.join('\n')}
+${forecast.peak ? `\n🔝 Pico: *${forecast.peak.hour}* com ${agentes(forecast.peak.agents)}` : ''}
+━━━━━━━━━━━━━━━━━━━━━━━━`;
+}
+
+/**
+ * Envia mensagem com a previsão de amanhã
+ * @param {Object} forecast - Previsão
+ * @returns {Promise<Object>} Resultado do envio
+ */
+async function sendPrevisao(forecast) {
+  try {
+    console.log('🔮 WhatsApp: Enviando previsão de amanhã...');
+    
+    // Pequeno delay para não enviar junto
+    await new Promise(r => setTimeout(r, 2000));
+    
+    return await sendMessage(formatForecast(forecast));
+    
+  } catch (error) {
+    console.error('❌ WhatsApp: Erro ao enviar previsão:', error.message);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Envia o relatório para todos os números configurados na API
  * Usa o endpoint /enviar-relatorio-todos
@@ -204,9 +661,8 @@ _Baseado nos últimos ${historico.dias} dias úteis_`;
  * @returns {Promise<Object>} Resultado do envio
  */
 export async function sendRelatorioTodos(kpis) {
-  const hora = new Date().getHours();
-  const periodo = hora < 12 ? 'Manhã' : 'Tarde';
-  const data = new Date().toLocaleDateString('pt-BR');
+  const periodo = getPeriodLabel();
+  const data = formatDateBR();
   
   const payload = {
     dadosRelatorio: {
@@ -227,13 +683,13 @@ export async function sendRelatorioTodos(kpis) {
   try {
     console.log('📊 WhatsApp: Enviando relatório para TODOS os números...');
     
-    const response = await api.post(config.endpoints.enviarRelatorioTodos, payload);
+    const data = await getTransport().send(config.endpoints.enviarRelatorioTodos, payload, { type: 'report_all', recipient: 'todos' });
     
     console.log('✅ WhatsApp: Relatório enviado para todos!');
     
     return {
       success: true,
-      data: response.data,
+      data,
     };
     
   } catch (error) {
@@ -254,24 +710,27 @@ export async function getStatus() {
   if (!config.apiUrl) {
     return {
       status: 'not_configured',
+      transport: config.transport,
       configured: false,
       connected: false,
     };
   }
   
   try {
-    const response = await api.get(config.endpoints.status);
+    const data = await getTransport().get(config.endpoints.status);
     
     return {
-      status: response.data?.status || 'connected',
+      status: data?.status || 'connected',
+      transport: config.transport,
       configured: true,
       connected: true,
-      data: response.data,
+      data,
     };
     
   } catch (error) {
     return {
       status: 'error',
+      transport: config.transport,
       configured: true,
       connected: false,
       error: error.message,
@@ -285,8 +744,8 @@ export async function getStatus() {
  */
 export async function getGrupos() {
   try {
-    const response = await api.get(config.endpoints.grupos);
-    return response.data || [];
+    const data = await getTransport().get(config.endpoints.grupos);
+    return data || [];
   } catch (error) {
     console.error('❌ WhatsApp: Erro ao listar grupos:', error.message);
     return [];
@@ -301,13 +760,13 @@ export async function getGrupos() {
  */
 export function formatD0Report(kpis) {
   const now = new Date();
-  const dateStr = now.toLocaleDateString('pt-BR', { 
+  const dateStr = formatDateBR(now, { 
     weekday: 'long', 
     day: '2-digit', 
     month: 'long', 
     year: 'numeric' 
   });
-  const timeStr = now.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+  const timeStr = formatTimeBR(now, { hour: '2-digit', minute: '2-digit' });
   
   const total = kpis.totalCalls || 0;
   const answeredPct = total > 0 ? Math.round((kpis.answered / total) * 100) : 0;
@@ -345,5 +804,14 @@ export default {
   getStatus,
   getGrupos,
   formatD0Report,
+  formatUnavailableReport,
+  formatHolidayNotice,
+  formatAlertMessage,
+  formatHourlyCurve,
+  formatQueueReport,
+  formatAgentLeaderboard,
+  formatSurveyReport,
+  formatTimeMetrics,
+  formatForecast,
   isConfigured,
 };
@@ -0,0 +1,100 @@
+/**
+ * API-WHATSAPP - Transportes
+ *
+ * Camada que efetivamente entrega as mensagens. O transporte é escolhido
+ * por WHATSAPP_TRANSPORT:
+ * - baileys: envia pela API Baileys hospedada no Render (padrão)
+ * - sandbox: não envia nada; grava cada mensagem/relatório na caixa de saída
+ *   local (DB-Reports), com destinatário e horário, para conferência
+ */
+
+import axios from 'axios';
+import { config } from './config.js';
+import dbService from '../DB-Reports/service.js';
+
+// Transportes registrados (nome -> implementação)
+const transports = new Map();
+
+/**
+ * Registra um transporte
+ * @param {string} name - Nome usado em WHATSAPP_TRANSPORT
+ * @param {Object} transport - Implementação
+ * @param {Function} transport.send - (endpoint, payload, { type, recipient }) => Promise<dados da resposta>
+ * @param {Function} transport.get - (endpoint) => Promise<dados da resposta>
+ */
+export function registerTransport(name, transport) {
+  transports.set(name, { name, ...transport });
+}
+
+/**
+ * Busca o transporte configurado
+ * @param {string} name - Nome (padrão: WHATSAPP_TRANSPORT)
+ * @returns {Object} Transporte
+ * @throws {Error} Se o transporte não estiver registrado
+ */
+export function getTransport(name = config.transport) {
+  const transport = transports.get(name);
+  if (!transport) {
+    throw new Error(`Transporte WhatsApp não registrado: ${name}`);
+  }
+  return transport;
+}
+
+/**
+ * Lista os transportes registrados
+ * @returns {Array<string>}
+ */
+export function listTransports() {
+  return Array.from(transports.keys());
+}
+
+// =============================================
+// baileys - API Baileys (Render)
+// =============================================
+
+// Cria instância do axios (a URL base é do tenant atual, passada a cada requisição)
+const api = axios.create({
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+registerTransport('baileys', {
+  async send(endpoint, payload) {
+    const response = await api.post(endpoint, payload, { baseURL: config.apiUrl, timeout: config.timeout });
+    return response.data;
+  },
+
+  async get(endpoint) {
+    const response = await api.get(endpoint, { baseURL: config.apiUrl, timeout: config.timeout });
+    return response.data;
+  },
+});
+
+// =============================================
+// sandbox - Caixa de saída local
+// =============================================
+
+registerTransport('sandbox', {
+  async send(endpoint, payload, { type, recipient }) {
+    const entry = await dbService.addOutboxEntry({ type, endpoint, recipient, payload });
+    if (!entry) {
+      throw new Error('Falha ao gravar na caixa de saída');
+    }
+
+    console.log(`📥 WhatsApp (sandbox): ${type} para ${recipient} gravado na caixa de saída`);
+    return { sandbox: true, id: entry.id };
+  },
+
+  async get(endpoint) {
+    // Sem conexão real: status sempre "conectado" e nenhum grupo
+    if (endpoint === config.endpoints.grupos) return [];
+    return { status: 'sandbox' };
+  },
+});
+
+export default {
+  registerTransport,
+  getTransport,
+  listTransports,
+};
@@ -0,0 +1,527 @@
+/**
+ * CORE - Alertas em Tempo Real
+ *
+ * Avalia regras a cada ALERTS_INTERVAL minutos sobre os KPIs do dia (D0) e
+ * envia o alerta na hora pelo WhatsApp para a lista de plantão, sem esperar o
+ * relatório agendado. Cada regra tem cooldown entre lembretes e gera uma
+ * notificação de "resolvido" quando a condição deixa de ocorrer.
+ *
+ * As regras ficam no DB-Reports do tenant e são gerenciadas em /api/alerts/rules.
+ */
+
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import api55Service from '../API-55PBX/service.js';
+import whatsappService from '../API-WHATSAPP/service.js';
+import whatsappConfig from '../API-WHATSAPP/config.js';
+import dbService from '../DB-Reports/service.js';
+import websocket from './websocket.js';
+import calendar from './calendar.js';
+import { tenantScoped } from './tenants.js';
+import { getZonedParts } from './timezone.js';
+dotenv.config();
+
+// Intervalos aceitos em ALERTS_INTERVAL: divisores de 60, para o cron "*/N"
+// manter o mesmo espaçamento na virada da hora (com 7, rodaria às :56 e às :00)
+const INTERVALS = [1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30];
+
+/**
+ * Converte ALERTS_INTERVAL no maior intervalo aceito que não passa do informado
+ * @param {string} value - Valor da variável de ambiente
+ * @returns {number} Minutos
+ */
+function parseInterval(value) {
+  const minutes = parseInt(value) || 5;
+  const interval = [...INTERVALS].reverse().find(option => option <= minutes) || INTERVALS[0];
+  if (interval !== minutes) {
+    console.warn(`⚠️  Alertas: ALERTS_INTERVAL=${value} não divide 60, usando ${interval} minutos`);
+  }
+  return interval;
+}
+
+// Configuração dos alertas (por tenant)
+export const alertsConfig = tenantScoped(env => ({
+  // Intervalo de avaliação das regras em minutos (divisor de 60: 1 a 30)
+  interval: parseInterval(env('ALERTS_INTERVAL')),
+
+  // Lista de plantão (números separados por vírgula); vazio = WHATSAPP_DESTINATION
+  recipients: (env('ALERTS_RECIPIENTS') || '')
+    .split(',')
+    .map(numero => numero.trim())
+    .filter(Boolean),
+
+  // Minutos entre lembretes de um alerta que continua ativo (padrão por regra)
+  cooldown: parseInt(env('ALERTS_COOLDOWN')) || 30,
+
+  // Volume mínimo do dia para avaliar regras de taxa (evita alerta com 2 ligações)
+  minCalls: parseInt(env('ALERTS_MIN_CALLS')) || 10,
+}));
+
+// Estado de cada tenant: situação de cada regra, últimos eventos, a avaliação em
+// andamento e a fila das operações que alteram a situação das regras
+const alertState = tenantScoped(() => ({
+  rules: {},
+  events: [],
+  lastRun: null,
+  running: null,
+  queue: Promise.resolve(),
+}));
+
+// Quantidade máxima de eventos mantidos em memória
+const EVENTS_MAX = 50;
+
+/**
+ * Tipos de regra
+ * evaluate(rule, context) => { triggered, value, detail } ou null quando não há
+ * dados suficientes para avaliar
+ */
+export const RULE_TYPES = {
+  abandonment_rate: {
+    name: 'Taxa de abandono',
+    unit: '%',
+    async evaluate(rule, context) {
+      const kpis = await context.dayKPIs(rule.queue);
+      if (kpis.totalCalls < alertsConfig.minCalls) return null;
+
+      const value = Math.round((kpis.abandoned / kpis.totalCalls) * 100);
+      return {
+        triggered: value > rule.threshold,
+        value,
+        detail: `${value}% de abandono (${kpis.abandoned} de ${kpis.totalCalls}) - limite: ${rule.threshold}%`,
+      };
+    },
+  },
+
+  avg_wait: {
+    name: 'Espera média',
+    unit: 's',
+    async evaluate(rule, context) {
+      const kpis = await context.dayKPIs(rule.queue);
+      if (kpis.totalCalls < alertsConfig.minCalls) return null;
+
+      const value = kpis.avgWaitTime || 0;
+      return {
+        triggered: value > rule.threshold,
+        value,
+        detail: `Espera média de ${value}s - limite: ${rule.threshold}s`,
+      };
+    },
+  },
+
+  no_answered: {
+    name: 'Nenhuma ligação atendida',
+    unit: 'min',
+    async evaluate(rule, context) {
+      const janela = await context.windowKPIs(rule.threshold, rule.queue);
+
+      // Sem nenhuma ligação na janela não há o que atender
+      return {
+        triggered: janela.totalCalls > 0 && janela.answered === 0,
+        value: janela.answered,
+        detail: `${janela.answered} atendidas de ${janela.totalCalls} recebidas nos últimos ${rule.threshold} min`,
+      };
+    },
+  },
+
+  volume_spike: {
+    name: 'Pico de volume',
+    unit: '%',
+    async evaluate(rule, context) {
+      const ritmo = await context.pace();
+      const kpis = await context.dayKPIs();
+      if (!ritmo || ritmo.medias.total === 0 || kpis.totalCalls < alertsConfig.minCalls) return null;
+
+      const value = Math.round((kpis.totalCalls / ritmo.medias.total) * 100);
+      return {
+        triggered: value > rule.threshold,
+        value,
+        detail: `${kpis.totalCalls} ligações até ${ritmo.corte} = ${value}% do esperado (${ritmo.medias.total}) - limite: ${rule.threshold}%`,
+      };
+    },
+  },
+};
+
+/**
+ * Cria o contexto de uma rodada de avaliação
+ * Cada consulta à 55PBX é feita uma única vez, mesmo com várias regras
+ * @returns {Object} Consultas memorizadas
+ */
+function createContext() {
+  const cache = new Map();
+  const memo = (key, fn) => {
+    if (!cache.has(key)) cache.set(key, fn());
+    return cache.get(key);
+  };
+
+  return {
+    dayKPIs: queue => memo(`day|${queue || ''}`, async () => {
+      const kpis = await api55Service.calculateDayKPIs(queue ? { queue } : {});
+      if (kpis.error) throw new Error(kpis.error);
+      return kpis;
+    }),
+    windowKPIs: (minutes, queue) => memo(`window|${minutes}|${queue || ''}`, () =>
+      api55Service.calculateWindowKPIs(minutes, queue ? { queue } : {})
+    ),
+    pace: () => memo('pace', () => api55Service.fetchPaceData()),
+  };
+}
+
+/**
+ * Verifica se o horário atual está dentro da janela da regra ("08:00-18:00")
+ * @param {Object} rule - Regra
+ * @param {Date} now - Instante
+ * @returns {boolean}
+ */
+function isWithinHours(rule, now) {
+  if (!rule.hours) return true;
+
+  const { hour, minute } = getZonedParts(now);
+  const current = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  const [from, to] = rule.hours.split('-');
+  return current >= from && current < to;
+}
+
+/**
+ * Valida e normaliza os dados de uma regra
+ * @param {Object} input - Dados recebidos
+ * @param {Object} existing - Regra atual (na edição)
+ * @returns {{rule?: Object, error?: string}}
+ */
+function normalizeRule(input = {}, existing = null) {
+  const data = { ...existing, ...input };
+
+  if (!RULE_TYPES[data.type]) {
+    return { error: `Tipo inválido (use ${Object.keys(RULE_TYPES).join(', ')})` };
+  }
+
+  const threshold = Number(data.threshold);
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    return { error: 'threshold deve ser um número maior que zero' };
+  }
+
+  let queue = null;
+  if (data.queue) {
+    if (data.type === 'volume_spike') {
+      return { error: 'Regras de pico de volume valem para a operação inteira (sem fila)' };
+    }
+    const found = api55Service.findQueue(data.queue);
+    if (!found) {
+      return { error: `Fila não configurada: ${data.queue}` };
+    }
+    queue = found.id;
+  }
+
+  if (data.hours && !/^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/.test(data.hours)) {
+    return { error: 'hours deve estar no formato HH:MM-HH:MM' };
+  }
+  if (data.hours) {
+    const [from, to] = data.hours.split('-');
+    if (to <= from) {
+      return { error: 'hours: o fim da janela deve ser depois do início (HH:MM-HH:MM no mesmo dia)' };
+    }
+  }
+
+  const cooldown = data.cooldown ? parseInt(data.cooldown) : null;
+  if (cooldown !== null && !(cooldown > 0)) {
+    return { error: 'cooldown deve ser um número de minutos maior que zero' };
+  }
+
+  return {
+    rule: {
+      id: existing?.id || randomUUID(),
+      type: data.type,
+      name: String(data.name || '').trim() || RULE_TYPES[data.type].name,
+      threshold,
+      queue,
+      hours: data.hours || null,
+      cooldown,
+      enabled: data.enabled !== false,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Lista as regras com a situação atual de cada uma
+ * @returns {Promise<Array>} Regras
+ */
+export async function listRules() {
+  const rules = await dbService.getAlertRules();
+  return rules.map(rule => ({
+    ...rule,
+    state: alertState.rules[rule.id] || { firing: false },
+  }));
+}
+
+/**
+ * Executa uma operação depois das anteriores do mesmo tenant (avaliações e
+ * alterações de regras não se intercalam: um alerta não é reaberto nem
+ * resolvido duas vezes)
+ * @param {Function} task - Operação assíncrona
+ * @returns {Promise<*>} Retorno da operação
+ */
+function serialize(task) {
+  const run = alertState.queue.then(task);
+  alertState.queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Cria uma regra
+ * @param {Object} input - { type, threshold, name?, queue?, hours?, cooldown?, enabled? }
+ * @returns {Promise<{rule?: Object, error?: string}>}
+ */
+export async function createRule(input) {
+  const { rule, error } = normalizeRule(input);
+  if (error) return { error };
+
+  const saved = await dbService.saveAlertRule(rule);
+  return saved ? { rule: saved } : { error: 'Falha ao gravar a regra' };
+}
+
+/**
+ * Atualiza uma regra (campos não enviados são mantidos)
+ * Desativar uma regra com alerta ativo encerra o alerta (mensagem de resolvido)
+ * @param {string} id - ID da regra
+ * @param {Object} input - Campos alterados
+ * @returns {Promise<{rule?: Object, error?: string, notFound?: boolean}>}
+ */
+export async function updateRule(id, input) {
+  const existing = (await dbService.getAlertRules()).find(rule => rule.id === id);
+  if (!existing) return { notFound: true, error: 'Regra não encontrada' };
+
+  const { rule, error } = normalizeRule(input, existing);
+  if (error) return { error };
+
+  return serialize(async () => {
+    const saved = await dbService.saveAlertRule(rule);
+    if (!saved) return { error: 'Falha ao gravar a regra' };
+
+    if (!saved.enabled) {
+      await closeAlert(saved, 'Regra desativada');
+    }
+
+    return { rule: saved };
+  });
+}
+
+/**
+ * Remove uma regra (e o alerta ativo dela, sem notificar)
+ * @param {string} id - ID da regra
+ * @returns {Promise<boolean>} True se existia
+ */
+export async function deleteRule(id) {
+  return serialize(async () => {
+    const removed = await dbService.removeAlertRule(id);
+    delete alertState.rules[id];
+    return removed;
+  });
+}
+
+/**
+ * Lista de plantão: ALERTS_RECIPIENTS ou, se vazia, o destino dos relatórios
+ * @returns {Array<string>} Números
+ */
+function getRecipients() {
+  return alertsConfig.recipients.length > 0
+    ? alertsConfig.recipients
+    : [whatsappConfig.destination].filter(Boolean);
+}
+
+/**
+ * Envia um alerta para a lista de plantão e registra o evento
+ * @param {string} status - triggered | reminder | resolved
+ * @param {Object} rule - Regra
+ * @param {Object} result - Resultado da avaliação
+ * @param {Object} state - Situação da regra
+ * @returns {Promise<Object>} Evento registrado
+ */
+async function notify(status, rule, result, state) {
+  const now = new Date();
+  const queue = rule.queue ? api55Service.findQueue(rule.queue) : null;
+
+  const alert = {
+    id: randomUUID(),
+    status,
+    ruleId: rule.id,
+    type: rule.type,
+    name: rule.name,
+    queue: queue ? queue.name : rule.queue,
+    value: result.value,
+    threshold: rule.threshold,
+    detail: result.detail,
+    since: state.since,
+    at: now.toISOString(),
+  };
+
+  // Marcado antes dos envios: o cooldown já vale enquanto a mensagem sai
+  state.lastSentAt = alert.at;
+
+  const message = whatsappService.formatAlertMessage(alert);
+  const recipients = getRecipients();
+  const results = [];
+
+  for (const numero of recipients) {
+    results.push(await whatsappService.sendMessage(message, numero));
+  }
+
+  alert.recipients = recipients;
+  alert.sent = results.filter(r => r.success).length;
+
+  alertState.events.unshift(alert);
+  if (alertState.events.length > EVENTS_MAX) {
+    alertState.events.pop();
+  }
+
+  const labels = { triggered: 'disparado', reminder: 'continua ativo', resolved: 'resolvido' };
+  console.log(`🚨 Alertas: "${rule.name}" ${labels[status]} - ${result.detail} (${alert.sent}/${recipients.length} enviados)`);
+  websocket.broadcastLog(`Alerta ${labels[status]}: ${rule.name} - ${result.detail}`, status === 'resolved' ? 'success' : 'warning');
+  websocket.broadcast({ type: 'alert', payload: alert });
+
+  return alert;
+}
+
+/**
+ * Encerra o alerta ativo de uma regra que deixou de ser avaliada (desativada,
+ * fora da janela de horário ou feriado): envia o resolvido com o motivo
+ * @param {Object} rule - Regra
+ * @param {string} reason - Motivo do encerramento
+ * @returns {Promise<Object|null>} Evento registrado ou null se não havia alerta ativo
+ */
+async function closeAlert(rule, reason) {
+  const state = alertState.rules[rule.id];
+  if (!state?.firing) return null;
+
+  state.firing = false;
+  const alert = await notify('resolved', rule, { value: state.lastValue ?? null, detail: reason }, state);
+  state.since = null;
+
+  return alert;
+}
+
+/**
+ * Avalia todas as regras ativas e envia os alertas necessários
+ * - condição nova: alerta imediato
+ * - condição que continua: lembrete a cada cooldown
+ * - condição que deixou de ocorrer: notificação de resolvido
+ * - regra desativada, fora da janela ou feriado: o alerta ativo é encerrado
+ * Uma avaliação por tenant de cada vez: chamadas simultâneas (cron e
+ * POST /api/alerts/evaluate) recebem o resultado da que está em andamento,
+ * e alterações de regras esperam a avaliação terminar (serialize)
+ * @returns {Promise<Array>} Resultado de cada regra avaliada
+ */
+export function evaluateAlerts() {
+  if (!alertState.running) {
+    alertState.running = serialize(runEvaluation).finally(() => {
+      alertState.running = null;
+    });
+  }
+  return alertState.running;
+}
+
+/**
+ * Executa uma rodada de avaliação (ver evaluateAlerts)
+ * @returns {Promise<Array>} Resultado de cada regra avaliada
+ */
+async function runEvaluation() {
+  const allRules = await dbService.getAlertRules();
+  const rules = allRules.filter(rule => rule.enabled);
+
+  for (const rule of allRules.filter(rule => !rule.enabled)) {
+    await closeAlert(rule, 'Regra desativada');
+  }
+  if (rules.length === 0) return [];
+
+  // Feriado ou fechamento: a operação não está rodando
+  const holiday = await calendar.getHoliday();
+  if (holiday) {
+    for (const rule of rules) {
+      await closeAlert(rule, `Alertas suspensos: ${holiday.name}`);
+    }
+    alertState.lastRun = new Date().toISOString();
+    return [];
+  }
+
+  const now = new Date();
+  const context = createContext();
+  const results = [];
+
+  for (const rule of rules) {
+    if (!isWithinHours(rule, now)) {
+      await closeAlert(rule, `Fora da janela de avaliação (${rule.hours})`);
+      continue;
+    }
+
+    let result;
+    try {
+      result = await RULE_TYPES[rule.type].evaluate(rule, context);
+    } catch (error) {
+      // 55PBX fora do ar: não dispara nem resolve, mantém a situação atual
+      console.error(`❌ Alertas: Erro ao avaliar "${rule.name}": ${error.message}`);
+      results.push({ ruleId: rule.id, error: error.message });
+      continue;
+    }
+
+    if (!result) {
+      results.push({ ruleId: rule.id, skipped: true });
+      continue;
+    }
+
+    if (!alertState.rules[rule.id]) {
+      alertState.rules[rule.id] = { firing: false, since: null, lastSentAt: null };
+    }
+    const state = alertState.rules[rule.id];
+    state.lastValue = result.value;
+    state.lastCheckedAt = now.toISOString();
+
+    if (result.triggered) {
+      const cooldown = (rule.cooldown || alertsConfig.cooldown) * 60000;
+
+      if (!state.firing) {
+        state.firing = true;
+        state.since = now.toISOString();
+        await notify('triggered', rule, result, state);
+      } else if (now.getTime() - new Date(state.lastSentAt).getTime() >= cooldown) {
+        await notify('reminder', rule, result, state);
+      }
+    } else if (state.firing) {
+      await notify('resolved', rule, result, state);
+      state.firing = false;
+      state.since = null;
+    }
+
+    results.push({ ruleId: rule.id, triggered: result.triggered, value: result.value, firing: state.firing });
+  }
+
+  alertState.lastRun = now.toISOString();
+  return results;
+}
+
+/**
+ * Situação dos alertas do tenant atual
+ * @returns {Object} Configuração, alertas ativos e últimos eventos
+ */
+export function getAlertsStatus() {
+  return {
+    interval: alertsConfig.interval,
+    cooldown: alertsConfig.cooldown,
+    recipients: getRecipients(),
+    lastRun: alertState.lastRun,
+    active: Object.entries(alertState.rules)
+      .filter(([, state]) => state.firing)
+      .map(([ruleId, state]) => ({ ruleId, ...state })),
+    events: alertState.events,
+  };
+}
+
+export default {
+  alertsConfig,
+  RULE_TYPES,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  evaluateAlerts,
+  getAlertsStatus,
+};
@@ -0,0 +1,175 @@
+/**
+ * CORE - Backfill de Histórico
+ * 
+ * Carrega um intervalo de dias da 55PBX para o histórico permanente
+ * do DB-Reports. Dias já armazenados são pulados, então o comando pode
+ * ser interrompido e executado novamente para continuar de onde parou.
+ * 
+ * Uso:
+ *   npm run backfill -- --from 2025-01-01 --to 2025-12-31 [--delay 500] [--force] [--tenant acme]
+ */
+
+import api55Service from '../API-55PBX/service.js';
+import { isConfigured } from '../API-55PBX/config.js';
+import { PbxError, getClientStatus } from '../API-55PBX/client.js';
+import { DEFAULT_REPORT } from '../API-55PBX/reports.js';
+import dbService from '../DB-Reports/service.js';
+import { parseDateKey, zonedAddDays, zonedStartOfDay, formatZoned, toDateKey } from './timezone.js';
+import { DEFAULT_TENANT, getTenant, runWithTenant } from './tenants.js';
+
+/**
+ * Lê os argumentos da linha de comando (--chave valor / --flag)
+ * @param {Array<string>} argv - Argumentos
+ * @returns {Object} Opções
+ */
+function parseArgs(argv) {
+  const options = {};
+  
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    
+    const key = argv[i].slice(2);
+    const next = argv[i + 1];
+    
+    if (next && !next.startsWith('--')) {
+      options[key] = next;
+      i++;
+    } else {
+      options[key] = true;
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * Formata milissegundos como "1h 02m" / "3m 10s"
+ * @param {number} ms - Milissegundos
+ * @returns {string}
+ */
+function formatEta(ms) {
+  const totalSec = Math.round(ms / 1000);
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  return h > 0 ? `${h}h ${String(m).padStart(2, '0')}m` : `${m}m ${String(s).padStart(2, '0')}s`;
+}
+
+/**
+ * Executa o backfill
+ * @param {Object} options - Opções da linha de comando
+ */
+async function run(options) {
+  const from = options.from ? parseDateKey(options.from) : null;
+  const to = options.to ? parseDateKey(options.to) : zonedAddDays(zonedStartOfDay(), -1);
+  const delay = parseInt(options.delay) || 500;
+  
+  if (!from || !to || to < from) {
+    console.error('Uso: npm run backfill -- --from YYYY-MM-DD [--to YYYY-MM-DD] [--delay ms] [--force] [--tenant id]');
+    process.exit(1);
+  }
+  
+  if (!isConfigured()) {
+    console.error('❌ API-55PBX não configurada (API_55_TOKEN)');
+    process.exit(1);
+  }
+  
+  // Hoje ainda não está fechado
+  const lastDay = to >= zonedStartOfDay() ? zonedAddDays(zonedStartOfDay(), -1) : to;
+  
+  await dbService.connect();
+  
+  const stored = new Set(options.force ? [] : await dbService.listHistoryDates(api55Service.historyNamespace()));
+  
+  const pending = [];
+  let totalDays = 0;
+  for (let date = from; date <= lastDay; date = zonedAddDays(date, 1)) {
+    totalDays++;
+    if (!stored.has(toDateKey(date))) {
+      pending.push(date);
+    }
+  }
+  
+  console.log(`📦 Backfill: ${formatZoned(from, 'dd/MM/yyyy')} até ${formatZoned(lastDay, 'dd/MM/yyyy')}`);
+  console.log(`   ${totalDays} dias no período | ${totalDays - pending.length} já armazenados | ${pending.length} a buscar\n`);
+  
+  if (pending.length === 0) {
+    console.log('✅ Nada a fazer: histórico completo no período');
+    return;
+  }
+  
+  const startTime = Date.now();
+  let loaded = 0;
+  let empty = 0;
+  
+  for (let i = 0; i < pending.length; i++) {
+    const date = pending[i];
+    const label = `[${String(i + 1).padStart(String(pending.length).length)}/${pending.length}] ${toDateKey(date)}`;
+    
+    try {
+      // Com --force o dia é buscado de novo na API e regravado no histórico
+      const [dadosDia] = await api55Service.getDaysData([date], {}, DEFAULT_REPORT, null, { refresh: !!options.force });
+      
+      if (dadosDia) {
+        loaded++;
+        console.log(`${label} ✅ ${dadosDia.total} ligações`);
+      } else {
+        empty++;
+        console.log(`${label} ⚪ sem dados`);
+      }
+      
+    } catch (error) {
+      if (error instanceof PbxError && error.type === 'auth') {
+        console.error(`${label} ❌ ${error.message}`);
+        console.error('\n🛑 Backfill interrompido: corrija o token e execute novamente para continuar');
+        process.exit(1);
+      }
+      
+      // Circuito aberto (API fora do ar ou limitando): aguarda a pausa e tenta o mesmo dia
+      if (error instanceof PbxError && error.type === 'unavailable') {
+        const { retryAt } = getClientStatus();
+        const wait = Math.max(new Date(retryAt).getTime() - Date.now(), 1000);
+        console.warn(`${label} ⏸️  ${error.message} - aguardando ${formatEta(wait)}`);
+        await new Promise(r => setTimeout(r, wait));
+        i--;
+        continue;
+      }
+      
+      console.error(`${label} ❌ ${error.message}`);
+    }
+    
+    const elapsed = Date.now() - startTime;
+    const remaining = (elapsed / (i + 1)) * (pending.length - i - 1);
+    if ((i + 1) % 10 === 0 && i + 1 < pending.length) {
+      console.log(`   ⏱️  ${Math.round(((i + 1) / pending.length) * 100)}% | restante estimado: ${formatEta(remaining)}`);
+    }
+    
+    // Respeita o limite de requisições da API
+    await new Promise(r => setTimeout(r, delay));
+  }
+  
+  console.log(`\n✅ Backfill concluído em ${formatEta(Date.now() - startTime)}: ${loaded} dias armazenados, ${empty} sem dados`);
+}
+
+// Interrupção: os dias já gravados permanecem no histórico
+process.on('SIGINT', () => {
+  console.log('\n\n🛑 Backfill interrompido - execute o mesmo comando para continuar');
+  process.exit(130);
+});
+
+const options = parseArgs(process.argv.slice(2));
+const tenantId = typeof options.tenant === 'string' ? options.tenant : DEFAULT_TENANT;
+
+if (!getTenant(tenantId)) {
+  console.error(`❌ Tenant não encontrado: ${tenantId} (configure em TENANTS)`);
+  process.exit(1);
+}
+
+if (tenantId !== DEFAULT_TENANT) {
+  console.log(`🏢 Tenant: ${getTenant(tenantId).name} (${tenantId})`);
+}
+
+runWithTenant(tenantId, () => run(options)).catch(error => {
+  console.error('\n❌ Erro fatal no backfill:', error.message);
+  process.exit(1);
+});
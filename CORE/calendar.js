@@ -0,0 +1,165 @@
+/**
+ * CORE - Calendário de Dias Úteis
+ *
+ * Feriados nacionais brasileiros (fixos e móveis, calculados a partir da
+ * Páscoa de cada ano) e fechamentos próprios da empresa, cadastrados via
+ * /api/calendar e gravados no DB-Reports do tenant.
+ *
+ * Feriados e fechamentos ficam fora das bases de comparação da análise
+ * histórica e o scheduler pula (ou sinaliza) o relatório nesses dias.
+ */
+
+import dotenv from 'dotenv';
+import { tenantScoped } from './tenants.js';
+import { toDateKey, zonedDay } from './timezone.js';
+import dbService from '../DB-Reports/service.js';
+dotenv.config();
+
+// Configuração do calendário (por tenant)
+export const calendarConfig = tenantScoped(env => ({
+  // Considera os feriados nacionais (false = só os fechamentos cadastrados)
+  nationalHolidays: env('CALENDAR_NATIONAL_HOLIDAYS') !== 'false',
+
+  // Relatório agendado em feriado/fechamento: skip (não envia) ou mark (envia com aviso)
+  holidayReports: env('CALENDAR_HOLIDAY_REPORTS') === 'mark' ? 'mark' : 'skip',
+}));
+
+// Feriados nacionais de data fixa (MM-dd)
+const FIXED_HOLIDAYS = [
+  { day: '01-01', name: 'Confraternização Universal' },
+  { day: '04-21', name: 'Tiradentes' },
+  { day: '05-01', name: 'Dia do Trabalho' },
+  { day: '09-07', name: 'Independência do Brasil' },
+  { day: '10-12', name: 'Nossa Senhora Aparecida' },
+  { day: '11-02', name: 'Finados' },
+  { day: '11-15', name: 'Proclamação da República' },
+  { day: '11-20', name: 'Dia Nacional de Zumbi e da Consciência Negra', since: 2024 },
+  { day: '12-25', name: 'Natal' },
+];
+
+// Feriados móveis: dias em relação ao domingo de Páscoa
+const MOVABLE_HOLIDAYS = [
+  { offset: -48, name: 'Carnaval (segunda-feira)' },
+  { offset: -47, name: 'Carnaval (terça-feira)' },
+  { offset: -2, name: 'Sexta-feira Santa' },
+  { offset: 60, name: 'Corpus Christi' },
+];
+
+/**
+ * Domingo de Páscoa de um ano (algoritmo de Meeus/Jones/Butcher)
+ * @param {number} year - Ano
+ * @returns {{month: number, day: number}} Mês (1-12) e dia
+ */
+export function getEasterDate(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+
+  return {
+    month: Math.floor((h + l - 7 * m + 114) / 31),
+    day: ((h + l - 7 * m + 114) % 31) + 1,
+  };
+}
+
+/**
+ * Feriados nacionais de um ano (fixos + móveis)
+ * @param {number} year - Ano
+ * @returns {Array<{date: string, name: string, type: string}>} Em ordem de data
+ */
+export function getNationalHolidays(year) {
+  const fixed = FIXED_HOLIDAYS
+    .filter(holiday => !holiday.since || year >= holiday.since)
+    .map(holiday => ({ date: `${year}-${holiday.day}`, name: holiday.name, type: 'national' }));
+
+  const easter = getEasterDate(year);
+  const movable = MOVABLE_HOLIDAYS.map(holiday => {
+    // Aritmética de calendário pura (UTC), independente do fuso
+    const date = new Date(Date.UTC(year, easter.month - 1, easter.day + holiday.offset));
+    return { date: date.toISOString().slice(0, 10), name: holiday.name, type: 'national' };
+  });
+
+  return [...fixed, ...movable].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Lista os feriados de um ano (nacionais + fechamentos da empresa)
+ * @param {number} year - Ano
+ * @returns {Promise<Array<{date: string, name: string, type: string}>>} Em ordem de data
+ */
+export async function getHolidays(year) {
+  const national = calendarConfig.nationalHolidays ? getNationalHolidays(year) : [];
+  const closures = (await dbService.getCalendarClosures())
+    .filter(closure => closure.date.startsWith(`${year}-`))
+    .map(closure => ({ ...closure, type: 'company' }));
+
+  // Fechamento cadastrado na mesma data de um feriado prevalece
+  const byDate = new Map(national.map(holiday => [holiday.date, holiday]));
+  closures.forEach(closure => byDate.set(closure.date, closure));
+
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Cria um verificador síncrono de feriados e fechamentos
+ * Os fechamentos são lidos uma única vez; útil para percorrer muitos dias
+ * @returns {Promise<Function>} (date) => feriado/fechamento ou null
+ */
+export async function createHolidayChecker() {
+  const closures = new Map((await dbService.getCalendarClosures()).map(closure => [closure.date, closure]));
+  const nationalByYear = new Map();
+
+  return date => {
+    const key = toDateKey(date);
+
+    if (closures.has(key)) {
+      return { ...closures.get(key), type: 'company' };
+    }
+
+    if (!calendarConfig.nationalHolidays) return null;
+
+    const year = parseInt(key.slice(0, 4));
+    if (!nationalByYear.has(year)) {
+      nationalByYear.set(year, new Map(getNationalHolidays(year).map(holiday => [holiday.date, holiday])));
+    }
+    return nationalByYear.get(year).get(key) || null;
+  };
+}
+
+/**
+ * Verifica se um dia é feriado nacional ou fechamento da empresa
+ * @param {Date} date - Dia (padrão: hoje, no fuso configurado)
+ * @returns {Promise<Object|null>} Feriado ({ date, name, type }) ou null
+ */
+export async function getHoliday(date = new Date()) {
+  const isHoliday = await createHolidayChecker();
+  return isHoliday(date);
+}
+
+/**
+ * Verifica se é dia útil: segunda a sexta, fora de feriados e fechamentos
+ * @param {Date} date - Dia
+ * @returns {Promise<boolean>}
+ */
+export async function isBusinessDay(date = new Date()) {
+  const weekday = zonedDay(date);
+  return weekday !== 0 && weekday !== 6 && !(await getHoliday(date));
+}
+
+export default {
+  calendarConfig,
+  getEasterDate,
+  getNationalHolidays,
+  getHolidays,
+  createHolidayChecker,
+  getHoliday,
+  isBusinessDay,
+};
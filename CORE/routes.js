@@ -7,13 +7,113 @@
 import { Router } from 'express';
 import api55Service from '../API-55PBX/service.js';
 import api55Config from '../API-55PBX/config.js';
+import webhookSecurity from '../API-55PBX/security.js';
+import api55Client, { PbxError } from '../API-55PBX/client.js';
+import reconciliation from '../API-55PBX/reconciliation.js';
+import { DEFAULT_REPORT } from '../API-55PBX/reports.js';
+import timeMetrics from '../API-55PBX/metrics.js';
+import levels from '../API-55PBX/levels.js';
+import forecast from '../API-55PBX/forecast.js';
+import { getSimulatorStatus } from '../API-55PBX/simulator.js';
 import dbService from '../DB-Reports/service.js';
 import whatsappService from '../API-WHATSAPP/service.js';
+import whatsappConfig from '../API-WHATSAPP/config.js';
 import scheduler from './scheduler.js';
+import calendar from './calendar.js';
+import alerts from './alerts.js';
 import websocket from './websocket.js';
+import { parseDateKey, formatDateTimeBR, toDateKey, zonedAddDays } from './timezone.js';
+import { listTenants, getTenantId, runWithTenant } from './tenants.js';
 
 const router = Router();
 
+// Limite de dias do histórico nas comparações (cada dia pode virar consultas à 55PBX)
+const MAX_HISTORY_DAYS = 90;
+
+// Limite de semanas da base "mesmo dia da semana"
+const MAX_BASELINE_WEEKS = 52;
+
+// Limite (segundos) da meta de atendimento da previsão
+const MAX_FORECAST_THRESHOLD = 3600;
+
+/**
+ * Responde um erro: falhas da 55PBX viram 502 (ou 503 com o circuito aberto)
+ * @param {Object} res - Resposta Express
+ * @param {Error} error - Erro capturado
+ */
+function sendError(res, error) {
+  if (error instanceof PbxError) {
+    return res.status(error.type === 'unavailable' ? 503 : 502).json({ error: error.message, type: error.type });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Exige o token do webhook (header token ou Authorization)
+ * Protege as rotas que leem ou reprocessam dados recebidos pelo webhook
+ * @param {Object} req - Requisição Express
+ * @param {Object} res - Resposta Express
+ * @param {Function} next - Próximo handler
+ */
+function requireWebhookToken(req, res, next) {
+  if (!webhookSecurity.hasValidToken(req)) {
+    return res.status(401).json({ error: 'Token do webhook inválido ou ausente' });
+  }
+  next();
+}
+
+/**
+ * Converte o parâmetro de data (YYYY-MM-DD) da query
+ * @param {string} value - Valor recebido
+ * @param {Date} fallback - Valor padrão quando ausente
+ * @returns {Date|null} Data (meia-noite no fuso configurado) ou null se inválida
+ */
+function parseDateParam(value, fallback = new Date()) {
+  if (!value) return fallback;
+  
+  return parseDateKey(value);
+}
+
+/**
+ * Converte um parâmetro inteiro da query dentro de um intervalo
+ * @param {string} value - Valor recebido
+ * @param {number} min - Mínimo aceito
+ * @param {number} max - Máximo aceito
+ * @returns {number|null|undefined} Número, undefined se ausente ou null se inválido
+ */
+function parseIntParam(value, min, max) {
+  if (value === undefined || value === '') return undefined;
+  
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Converte os parâmetros da base de comparação da query
+ * Sem "base", apenas "dias" mantém o comportamento antigo (últimos N dias corridos)
+ * @param {Object} query - Query da requisição (base, semanas, dias)
+ * @returns {{options?: Object, error?: string}} Opções para getBaselineDates ou erro
+ */
+function parseBaselineQuery(query) {
+  const weeks = parseIntParam(query.semanas, 1, MAX_BASELINE_WEEKS);
+  if (weeks === null) {
+    return { error: `semanas deve ser um inteiro de 1 a ${MAX_BASELINE_WEEKS}` };
+  }
+  
+  const days = parseIntParam(query.dias, 1, MAX_HISTORY_DAYS);
+  if (days === null) {
+    return { error: `dias deve ser um inteiro de 1 a ${MAX_HISTORY_DAYS}` };
+  }
+  
+  return {
+    options: {
+      mode: query.base || (days && !weeks ? 'all' : undefined),
+      weeks,
+      days,
+    },
+  };
+}
+
 // =============================================
 // Webhook 55PBX
 // =============================================
@@ -24,11 +124,16 @@ const router = Router();
  */
 router.post('/webhook/55pbx', async (req, res) => {
   try {
-    // Valida token
-    const receivedToken = req.headers['token'] || req.headers['authorization'];
-    if (!api55Service.validateToken(receivedToken)) {
-      console.warn('⚠️  Webhook: Token inválido recebido');
-      return res.status(401).json({ error: 'Token inválido' });
+    // Valida origem, token e assinatura
+    const verification = webhookSecurity.verifyWebhookRequest(req);
+    if (!verification.valid) {
+      console.warn(`⚠️  Webhook: Requisição rejeitada (${verification.reason}) de ${req.ip}`);
+      await dbService.addDeadLetter({
+        reason: 'rejected',
+        error: verification.reason,
+        ip: req.ip,
+      });
+      return res.status(verification.status).json({ error: 'Requisição não autorizada', reason: verification.reason });
     }
     
     // Processa o webhook
@@ -38,14 +143,29 @@ router.post('/webhook/55pbx', async (req, res) => {
     if (result.processed) {
       websocket.notifyNewCall({
         callId: result.callId,
+        event: result.event,
         status: result.classification,
       });
+      websocket.sendLiveCallsUpdate(await api55Service.getLiveCalls());
+    } else {
+      await dbService.addDeadLetter({
+        payload: req.body,
+        reason: 'failed',
+        error: result.reason,
+        ip: req.ip,
+      });
     }
     
     res.json({ success: true, ...result });
     
   } catch (error) {
     console.error('❌ Webhook: Erro:', error.message);
+    await dbService.addDeadLetter({
+      payload: req.body,
+      reason: 'failed',
+      error: error.message,
+      ip: req.ip,
+    });
     res.status(500).json({ error: error.message });
   }
 });
@@ -59,6 +179,335 @@ router.put('/webhook/55pbx', async (req, res) => {
   return router.handle(req, res);
 });
 
+// =============================================
+// Dead-letters do Webhook
+// =============================================
+
+/**
+ * GET /api/webhook/dead-letters
+ * Lista webhooks rejeitados ou que falharam (?status=pending|replayed|rejected)
+ * Exige o token do webhook
+ */
+router.get('/api/webhook/dead-letters', requireWebhookToken, async (req, res) => {
+  try {
+    const deadLetters = await dbService.getDeadLetters(req.query.status || null);
+    res.json({ total: deadLetters.length, deadLetters });
+  } catch (error) {
+    console.error('❌ API Dead-letters: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/webhook/dead-letters/:id/replay
+ * Reprocessa uma dead-letter pelo caminho de ingestão do webhook
+ * Exige o token do webhook; requisições rejeitadas não são reprocessadas
+ */
+router.post('/api/webhook/dead-letters/:id/replay', requireWebhookToken, async (req, res) => {
+  try {
+    const result = await api55Service.replayDeadLetter(req.params.id);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Dead-letter não encontrada' });
+    }
+    
+    if (result.replayable === false) {
+      return res.status(409).json({ error: 'Requisições rejeitadas não podem ser reprocessadas', deadLetter: result.deadLetter });
+    }
+    
+    if (result.processed) {
+      websocket.notifyNewCall({
+        callId: result.callId,
+        event: result.event,
+        status: result.classification,
+      });
+      websocket.broadcastLog(`Dead-letter ${req.params.id} reprocessada`, 'success');
+    }
+    
+    res.json({ success: result.processed, ...result });
+    
+  } catch (error) {
+    console.error('❌ API Replay: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================
+// Caixa de saída do WhatsApp (sandbox)
+// =============================================
+
+/**
+ * GET /api/outbox?type=message|report|report_all&recipient=&limit=
+ * Lista o que teria sido enviado pelo WhatsApp no modo sandbox
+ */
+router.get('/api/outbox', async (req, res) => {
+  try {
+    const messages = await dbService.getOutbox({
+      type: req.query.type || null,
+      recipient: req.query.recipient || null,
+      limit: parseInt(req.query.limit) || null,
+    });
+    res.json({ transport: whatsappConfig.transport, total: messages.length, messages });
+  } catch (error) {
+    console.error('❌ API Outbox: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/outbox
+ * Esvazia a caixa de saída
+ */
+router.delete('/api/outbox', async (req, res) => {
+  try {
+    const removed = await dbService.clearOutbox();
+    res.json({ success: true, removed });
+  } catch (error) {
+    console.error('❌ API Outbox: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================
+// Calendário de dias úteis
+// =============================================
+
+/**
+ * GET /api/calendar?year=YYYY
+ * Lista os feriados nacionais e os fechamentos da empresa do ano (padrão: atual)
+ */
+router.get('/api/calendar', async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || parseInt(toDateKey().slice(0, 4));
+    const holidays = await calendar.getHolidays(year);
+    
+    res.json({
+      year,
+      nationalHolidays: calendar.calendarConfig.nationalHolidays,
+      holidayReports: calendar.calendarConfig.holidayReports,
+      today: await calendar.getHoliday(),
+      holidays,
+    });
+  } catch (error) {
+    console.error('❌ API Calendário: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/calendar
+ * Cadastra um fechamento da empresa - body: { date: "YYYY-MM-DD", name }
+ */
+router.post('/api/calendar', async (req, res) => {
+  try {
+    const { date, name } = req.body || {};
+    if (!parseDateKey(date)) {
+      return res.status(400).json({ error: 'Data inválida (use YYYY-MM-DD)' });
+    }
+    
+    const closure = await dbService.addCalendarClosure({
+      date: date.trim(),
+      name: String(name || '').trim() || 'Fechamento da empresa',
+    });
+    if (!closure) {
+      return res.status(500).json({ error: 'Falha ao gravar o fechamento' });
+    }
+    
+    res.status(201).json({ success: true, closure });
+  } catch (error) {
+    console.error('❌ API Calendário: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/calendar/:date (ou /api/calendar?date=YYYY-MM-DD)
+ * Remove um fechamento da empresa (feriados nacionais não podem ser removidos)
+ */
+router.delete(['/api/calendar', '/api/calendar/:date'], async (req, res) => {
+  try {
+    const date = String(req.params.date || req.query.date || '').trim();
+    if (!parseDateKey(date)) {
+      return res.status(400).json({ error: 'Data inválida (use YYYY-MM-DD)' });
+    }
+    
+    const removed = await dbService.removeCalendarClosure(date);
+    if (!removed) {
+      return res.status(404).json({ error: 'Fechamento não encontrado' });
+    }
+    
+    res.json({ success: true, date });
+  } catch (error) {
+    console.error('❌ API Calendário: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================
+// Classificação das métricas (faixas da análise)
+// =============================================
+
+/**
+ * GET /api/levels
+ * Lista a definição de cada métrica: faixas (% da média), rótulos e emojis
+ */
+router.get('/api/levels', async (req, res) => {
+  try {
+    res.json({ levels: await levels.getLevels() });
+  } catch (error) {
+    console.error('❌ API Classificação: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/levels/:metric
+ * Altera a classificação de uma métrica - body: { bands: [{ below, label, emoji }, ..., { label, emoji }] }
+ */
+router.put('/api/levels/:metric', async (req, res) => {
+  try {
+    const { level, error, notFound } = await levels.setLevel(req.params.metric, req.body || {});
+    if (error) {
+      return res.status(notFound ? 404 : 400).json({ error });
+    }
+    
+    res.json({ success: true, metric: req.params.metric, level });
+  } catch (error) {
+    console.error('❌ API Classificação: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/levels/:metric
+ * Volta a métrica para a classificação padrão
+ */
+router.delete('/api/levels/:metric', async (req, res) => {
+  try {
+    const removed = await levels.resetLevel(req.params.metric);
+    if (!removed) {
+      return res.status(404).json({ error: 'Métrica sem classificação personalizada' });
+    }
+    
+    res.json({ success: true, metric: req.params.metric, level: (await levels.getLevels())[req.params.metric] });
+  } catch (error) {
+    console.error('❌ API Classificação: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================
+// Alertas em tempo real
+// =============================================
+
+/**
+ * GET /api/alerts
+ * Situação dos alertas: intervalo, lista de plantão, alertas ativos e últimos eventos
+ */
+router.get('/api/alerts', (req, res) => {
+  res.json(alerts.getAlertsStatus());
+});
+
+/**
+ * POST /api/alerts/evaluate
+ * Avalia as regras agora, sem esperar o próximo ciclo
+ */
+router.post('/api/alerts/evaluate', async (req, res) => {
+  try {
+    const results = await alerts.evaluateAlerts();
+    res.json({ success: true, results, status: alerts.getAlertsStatus() });
+  } catch (error) {
+    console.error('❌ API Alertas: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/alerts/rules
+ * Lista as regras de alerta com a situação atual de cada uma
+ */
+router.get('/api/alerts/rules', async (req, res) => {
+  try {
+    const rules = await alerts.listRules();
+    res.json({ types: Object.keys(alerts.RULE_TYPES), rules });
+  } catch (error) {
+    console.error('❌ API Alertas: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/alerts/rules
+ * Cria uma regra - body: { type, threshold, name?, queue?, hours?: "HH:MM-HH:MM", cooldown?, enabled? }
+ */
+router.post('/api/alerts/rules', async (req, res) => {
+  try {
+    const { rule, error } = await alerts.createRule(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    console.error('❌ API Alertas: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/alerts/rules/:id
+ * Altera uma regra (campos não enviados são mantidos)
+ */
+router.put('/api/alerts/rules/:id', async (req, res) => {
+  try {
+    const { rule, error, notFound } = await alerts.updateRule(req.params.id, req.body || {});
+    if (error) {
+      return res.status(notFound ? 404 : 400).json({ error });
+    }
+    
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('❌ API Alertas: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Remove uma regra
+ */
+router.delete('/api/alerts/rules/:id', async (req, res) => {
+  try {
+    const removed = await alerts.deleteRule(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Regra não encontrada' });
+    }
+    
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('❌ API Alertas: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================
+// API Chamadas ao vivo
+// =============================================
+
+/**
+ * GET /api/calls/live
+ * Retorna as chamadas em andamento e quantas aguardam em cada fila
+ */
+router.get('/api/calls/live', async (req, res) => {
+  try {
+    const live = await api55Service.getLiveCalls();
+    res.json(live);
+  } catch (error) {
+    console.error('❌ API Live: Erro:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // =============================================
 // API Status
 // =============================================
@@ -81,6 +530,7 @@ router.get('/api/status', async (req, res) => {
         status: whatsappStatus.connected ? 'connected' : 
                 whatsappStatus.configured ? 'disconnected' : 'not_configured',
         configured: whatsappStatus.configured,
+        transport: whatsappStatus.transport,
       },
       redis: {
         connected: dbService.getStatus().connected,
@@ -90,8 +540,13 @@ router.get('/api/status', async (req, res) => {
       },
       api55: {
         configured: !!api55Config.token,
+        ...api55Client.getClientStatus(),
+        simulator: api55Config.simulator.enabled ? getSimulatorStatus() : null,
       },
+      webhook: webhookSecurity.getWebhookStats(),
       nextRun: scheduler.getNextRun()?.toISOString(),
+      timezone: api55Config.timezone,
+      tenant: getTenantId(),
       wsClients: websocket.getClientCount(),
     });
     
@@ -101,17 +556,50 @@ router.get('/api/status', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/tenants
+ * Lista os tenants configurados e se cada um tem 55PBX e WhatsApp configurados
+ */
+router.get('/api/tenants', (req, res) => {
+  const tenants = listTenants().map(tenant => runWithTenant(tenant.id, () => ({
+    ...tenant,
+    api55Configured: !!api55Config.token,
+    whatsappConfigured: !!whatsappConfig.destination || whatsappConfig.transport === 'sandbox',
+    reportTimes: scheduler.getScheduledTimes(),
+    nextRun: scheduler.getNextRun()?.toISOString(),
+  })));
+  
+  res.json({ current: getTenantId(), tenants });
+});
+
 // =============================================
 // API Relatório D0
 // =============================================
 
 /**
- * GET /api/report/d0
- * Retorna os KPIs do dia atual
+ * GET /api/report/d0?queue=
+ * Retorna os KPIs do dia atual (total + por fila, ou de uma única fila)
+ * com o horário de pico, a curva hora a hora e os tempos em timeMetrics
  */
 router.get('/api/report/d0', async (req, res) => {
   try {
-    const kpis = await api55Service.calculateDayKPIs();
+    // Filtra por uma fila específica (?queue=ID ou nome)
+    if (req.query.queue) {
+      const queue = api55Service.findQueue(req.query.queue);
+      if (!queue) {
+        return res.status(404).json({ error: 'Fila não configurada', queues: api55Config.queues });
+      }
+      
+      const kpis = await api55Service.calculateDayKPIs({ queue: queue.id }, DEFAULT_REPORT, { hourly: true });
+      kpis.timeMetrics = await timeMetrics.calculateTimeMetrics(kpis, { queue: queue.id });
+      return res.json({ ...kpis, queue });
+    }
+    
+    const kpis = await api55Service.calculateDayKPIs({}, DEFAULT_REPORT, { hourly: true });
+    kpis.timeMetrics = await timeMetrics.calculateTimeMetrics(kpis);
+    if (api55Config.queues.length > 0) {
+      kpis.queues = await api55Service.calculateQueueKPIs();
+    }
     res.json(kpis);
   } catch (error) {
     console.error('❌ API D0: Erro:', error.message);
@@ -120,12 +608,150 @@ router.get('/api/report/d0', async (req, res) => {
 });
 
 /**
- * GET /api/report/analise
- * Retorna análise comparativa: hoje vs últimos 15 dias
+ * GET /api/report/hourly?date=YYYY-MM-DD&queue=
+ * Retorna o volume hora a hora do dia e o horário de pico
+ */
+router.get('/api/report/hourly', async (req, res) => {
+  try {
+    const date = parseDateParam(req.query.date);
+    if (!date) {
+      return res.status(400).json({ error: 'Data inválida (use YYYY-MM-DD)' });
+    }
+    
+    const filters = {};
+    if (req.query.queue) {
+      const queue = api55Service.findQueue(req.query.queue);
+      if (!queue) {
+        return res.status(404).json({ error: 'Fila não configurada', queues: api55Config.queues });
+      }
+      filters.queue = queue.id;
+    }
+    
+    const hourly = await api55Service.fetchHourlyData(date, filters);
+    res.json(hourly);
+  } catch (error) {
+    console.error('❌ API Hourly: Erro:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/report/agents?date=YYYY-MM-DD ou ?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Retorna atendidas, tempo médio de conversa e de espera por agente
+ */
+router.get('/api/report/agents', async (req, res) => {
+  try {
+    if (api55Config.agents.length === 0) {
+      return res.status(400).json({ error: 'Nenhum agente configurado (API_55_AGENTS)' });
+    }
+    
+    const from = parseDateParam(req.query.from || req.query.date);
+    const to = parseDateParam(req.query.to, from);
+    if (!from || !to || to < from) {
+      return res.status(400).json({ error: 'Período inválido (use date ou from/to no formato YYYY-MM-DD)' });
+    }
+    
+    const report = await api55Service.calculateAgentKPIs(from, to);
+    res.json(report);
+  } catch (error) {
+    console.error('❌ API Agentes: Erro:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/report/numbers?date=YYYY-MM-DD (ou from/to) &dias=N
+ * Retorna volume e abandono por número rastreado; com ?dias=N (1 a 90) compara
+ * cada número com a própria média dos N dias anteriores
+ */
+router.get('/api/report/numbers', async (req, res) => {
+  try {
+    if (api55Config.numbers.length === 0) {
+      return res.status(400).json({ error: 'Nenhum número configurado (API_55_NUMBERS)' });
+    }
+    
+    const from = parseDateParam(req.query.from || req.query.date);
+    const to = parseDateParam(req.query.to, from);
+    if (!from || !to || to < from) {
+      return res.status(400).json({ error: 'Período inválido (use date ou from/to no formato YYYY-MM-DD)' });
+    }
+    
+    const dias = parseIntParam(req.query.dias, 1, MAX_HISTORY_DAYS);
+    if (dias === null) {
+      return res.status(400).json({ error: `dias deve ser um inteiro de 1 a ${MAX_HISTORY_DAYS}` });
+    }
+    
+    const report = await api55Service.calculateNumberKPIs(from, to);
+    
+    if (report && dias) {
+      const historico = await api55Service.fetchNumberHistory(dias, from);
+      const niveis = await levels.getLevels();
+      
+      report.numbers.forEach(number => {
+        const hist = historico[number.id];
+        number.historico = hist;
+        number.comparacao = {
+          total: api55Service.classificarNivel(number.total, hist.medias.total, niveis.total),
+          abandonadas: api55Service.classificarNivel(number.abandonadas, hist.medias.abandonadas, niveis.abandonadas),
+        };
+      });
+    }
+    
+    res.json(report);
+  } catch (error) {
+    console.error('❌ API Números: Erro:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/report/survey?date=YYYY-MM-DD (ou from/to) &dias=N
+ * Retorna respostas, distribuição de notas, NPS/CSAT e participação de cada
+ * pesquisa configurada; com ?dias=N (1 a 90) compara com a média dos N dias anteriores
+ */
+router.get('/api/report/survey', async (req, res) => {
+  try {
+    if (api55Config.surveys.length === 0) {
+      return res.status(400).json({ error: 'Nenhuma pesquisa configurada (API_55_SURVEYS)' });
+    }
+    
+    const from = parseDateParam(req.query.from || req.query.date);
+    const to = parseDateParam(req.query.to, from);
+    if (!from || !to || to < from) {
+      return res.status(400).json({ error: 'Período inválido (use date ou from/to no formato YYYY-MM-DD)' });
+    }
+    
+    const dias = parseIntParam(req.query.dias, 1, MAX_HISTORY_DAYS);
+    if (dias === null) {
+      return res.status(400).json({ error: `dias deve ser um inteiro de 1 a ${MAX_HISTORY_DAYS}` });
+    }
+    
+    const report = await api55Service.calculateSurveyKPIs(from, to);
+    
+    if (report && dias) {
+      api55Service.compareSurveys(report, await api55Service.fetchSurveyHistory(dias, from));
+    }
+    
+    res.json(report);
+  } catch (error) {
+    console.error('❌ API Pesquisa: Erro:', error.message);
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/report/analise?base=weekday|business|all&semanas=&dias=
+ * Retorna análise comparativa: hoje vs base histórica (padrão: API_55_BASELINE)
+ * semanas: 1 a 52; dias: 1 a 90
  */
 router.get('/api/report/analise', async (req, res) => {
   try {
-    const analise = await api55Service.analisarDiaAtual();
+    const { options, error } = parseBaselineQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const analise = await api55Service.analisarDiaAtual(options);
     res.json(analise);
   } catch (error) {
     console.error('❌ API Análise: Erro:', error.message);
@@ -134,17 +760,93 @@ router.get('/api/report/analise', async (req, res) => {
 });
 
 /**
- * GET /api/report/historico
- * Retorna histórico dos últimos N dias (padrão: 15)
+ * GET /api/report/historico?base=weekday|business|all&semanas=&dias=
+ * Retorna o histórico da base de comparação e suas médias
+ * (sem parâmetros: API_55_BASELINE; só com dias: últimos N dias corridos)
+ * semanas: 1 a 52; dias: 1 a 90
  */
 router.get('/api/report/historico', async (req, res) => {
   try {
-    const dias = parseInt(req.query.dias) || 15;
-    const historico = await api55Service.fetchHistoricalData(dias);
+    const { options, error } = parseBaselineQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const historico = await api55Service.fetchHistoricalData(options);
     res.json(historico);
   } catch (error) {
     console.error('❌ API Histórico: Erro:', error.message);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// =============================================
+// API Previsão
+// =============================================
+
+/**
+ * GET /api/forecast?date=YYYY-MM-DD&semanas=&meta=&limite=
+ * Prevê o volume do dia hora a hora (padrão: amanhã) e recomenda os agentes
+ * por hora pelo Erlang C (meta: % atendidas em até "limite" segundos)
+ */
+router.get('/api/forecast', async (req, res) => {
+  try {
+    const date = parseDateParam(req.query.date, zonedAddDays(new Date(), 1));
+    if (!date) {
+      return res.status(400).json({ error: 'Data inválida (use YYYY-MM-DD)' });
+    }
+    
+    const meta = req.query.meta === undefined || req.query.meta === '' ? undefined : Number(req.query.meta);
+    if (meta !== undefined && (!Number.isFinite(meta) || meta <= 0 || meta >= 100)) {
+      return res.status(400).json({ error: 'meta deve ser um % entre 0 e 100' });
+    }
+    
+    const weeks = parseIntParam(req.query.semanas, 1, MAX_BASELINE_WEEKS);
+    if (weeks === null) {
+      return res.status(400).json({ error: `semanas deve ser um inteiro de 1 a ${MAX_BASELINE_WEEKS}` });
+    }
+    
+    const threshold = parseIntParam(req.query.limite, 1, MAX_FORECAST_THRESHOLD);
+    if (threshold === null) {
+      return res.status(400).json({ error: `limite deve ser um inteiro de 1 a ${MAX_FORECAST_THRESHOLD} segundos` });
+    }
+    
+    const result = await forecast.forecastDay(date, {
+      weeks,
+      serviceLevel: meta,
+      threshold,
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Sem histórico para a previsão' });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('❌ API Previsão: Erro:', error.message);
+    sendError(res, error);
+  }
+});
+
+// =============================================
+// API Reconciliação
+// =============================================
+
+/**
+ * GET /api/reconciliation?date=YYYY-MM-DD
+ * Compara as ligações recebidas via webhook com o agregado do report_01
+ */
+router.get('/api/reconciliation', async (req, res) => {
+  try {
+    const date = parseDateParam(req.query.date);
+    if (!date) {
+      return res.status(400).json({ error: 'Data inválida (use YYYY-MM-DD)' });
+    }
+    
+    const result = await reconciliation.reconcileDay(date);
+    res.json(result);
+  } catch (error) {
+    console.error('❌ API Reconciliação: Erro:', error.message);
+    sendError(res, error);
   }
 });
 
@@ -207,7 +909,7 @@ router.get('/api/next-run', (req, res) => {
     const nextRun = scheduler.getNextRun();
     res.json({ 
       nextRun: nextRun?.toISOString(),
-      formatted: nextRun?.toLocaleString('pt-BR'),
+      formatted: nextRun ? formatDateTimeBR(nextRun) : undefined,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
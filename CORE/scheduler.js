@@ -6,45 +6,120 @@
 
 import cron from 'node-cron';
 import api55Service from '../API-55PBX/service.js';
+import api55Config from '../API-55PBX/config.js';
+import reconciliation from '../API-55PBX/reconciliation.js';
+import { DEFAULT_REPORT } from '../API-55PBX/reports.js';
+import timeMetrics from '../API-55PBX/metrics.js';
+import forecast from '../API-55PBX/forecast.js';
 import whatsappService from '../API-WHATSAPP/service.js';
+import whatsappConfig from '../API-WHATSAPP/config.js';
 import websocket from './websocket.js';
+import { TIMEZONE, getZonedParts, zonedDate, zonedAddDays, zonedHour } from './timezone.js';
+import calendar from './calendar.js';
+import alerts from './alerts.js';
+import { DEFAULT_TENANT, listTenants, getTenantId, runWithTenant, tenantScoped } from './tenants.js';
 
-// Armazena os jobs agendados
+// Armazena os jobs agendados (chave: tenant:job)
 const jobs = {};
 
-// Histórico de execuções
-const executionHistory = [];
+// Estado de cada tenant: histórico de execuções e horários de disparo do relatório
+const tenantState = tenantScoped(env => ({
+  executionHistory: [],
+  scheduledTimes: env('REPORT_TIMES')
+    ? env('REPORT_TIMES').split(',').map(t => t.trim())
+    : ['18:00'], // Padrão: 18:00
+}));
 
-// Horários de disparo do relatório (configurável)
-let scheduledTimes = process.env.REPORT_TIMES 
-  ? process.env.REPORT_TIMES.split(',').map(t => t.trim())
-  : ['18:00']; // Padrão: 18:00
+/**
+ * Agenda um job no contexto de um tenant
+ * @param {string} tenantId - ID do tenant
+ * @param {string} name - Nome do job
+ * @param {string} expression - Expressão cron
+ * @param {Function} task - Tarefa
+ */
+function scheduleJob(tenantId, name, expression, task) {
+  // Horários das expressões cron seguem o fuso configurado, não o do servidor
+  jobs[`${tenantId}:${name}`] = cron.schedule(expression, () => runWithTenant(tenantId, task), { timezone: TIMEZONE });
+}
 
 /**
- * Inicializa os agendamentos
+ * Agenda os jobs de um tenant
+ * @param {string} tenantId - ID do tenant
  */
-export function initScheduler() {
-  console.log('⏰ Scheduler: Inicializando...');
+function scheduleTenant(tenantId) {
+  const prefix = tenantId === DEFAULT_TENANT ? '' : `[${tenantId}] `;
   
   // Agenda disparo do relatório nos horários configurados
-  scheduledTimes.forEach(time => {
+  runWithTenant(tenantId, () => tenantState.scheduledTimes).forEach(time => {
     const [hour, minute] = time.split(':');
     const cronExpression = `${minute || '0'} ${hour} * * *`; // Diariamente no horário
     
-    jobs[`report_${time}`] = cron.schedule(cronExpression, async () => {
-      console.log(`⏰ Scheduler: Executando relatório agendado (${time})`);
+    scheduleJob(tenantId, `report_${time}`, cronExpression, async () => {
+      // Feriado ou fechamento da empresa: não envia (skip) ou envia sinalizado (mark)
+      const holiday = await calendar.getHoliday();
+      if (holiday && calendar.calendarConfig.holidayReports === 'skip') {
+        console.log(`⏰ Scheduler: ${prefix}Relatório de ${time} pulado - ${holiday.name}`);
+        skipReport(holiday);
+        return;
+      }
+      
+      console.log(`⏰ Scheduler: ${prefix}Executando relatório agendado (${time})`);
       await executeReport();
     });
     
-    console.log(`   📅 Relatório agendado para ${time} diariamente`);
+    console.log(`   📅 ${prefix}Relatório agendado para ${time} diariamente`);
   });
   
   // Atualização do D0 a cada hora cheia
-  jobs['d0_update'] = cron.schedule('0 * * * *', async () => {
-    console.log('⏰ Scheduler: Atualizando KPIs D0...');
+  scheduleJob(tenantId, 'd0_update', '0 * * * *', async () => {
+    console.log(`⏰ Scheduler: ${prefix}Atualizando KPIs D0...`);
     await updateD0();
   });
   
+  // Reconciliação webhook x API: dia atual a cada hora, dia anterior fechado às 00:15
+  scheduleJob(tenantId, 'reconciliation_today', '30 * * * *', async () => {
+    await runReconciliation(new Date());
+  });
+  scheduleJob(tenantId, 'reconciliation_yesterday', '15 0 * * *', async () => {
+    const yesterday = zonedAddDays(new Date(), -1);
+    await runReconciliation(yesterday);
+    
+    // Tempos do webhook de ontem vão para o histórico antes de expirarem
+    await timeMetrics.saveDayTimeMetrics(yesterday);
+  });
+  
+  // Alertas em tempo real a cada ALERTS_INTERVAL minutos (divisor de 60)
+  const alertsInterval = runWithTenant(tenantId, () => alerts.alertsConfig.interval);
+  scheduleJob(tenantId, 'alerts', `*/${alertsInterval} * * * *`, async () => {
+    try {
+      await alerts.evaluateAlerts();
+    } catch (error) {
+      console.error('Scheduler: Erro na avaliação de alertas:', error.message);
+    }
+  });
+}
+
+/**
+ * Para os jobs de um tenant
+ * @param {string} tenantId - ID do tenant
+ */
+function stopTenant(tenantId) {
+  Object.keys(jobs)
+    .filter(key => key.startsWith(`${tenantId}:`))
+    .forEach(key => {
+      jobs[key].stop();
+      delete jobs[key];
+    });
+}
+
+/**
+ * Inicializa os agendamentos (de todos os tenants)
+ */
+export function initScheduler() {
+  console.log(`⏰ Scheduler: Inicializando (fuso ${TIMEZONE})...`);
+  
+  listTenants().forEach(tenant => scheduleTenant(tenant.id));
+  
   console.log('✅ Scheduler: Agendamentos configurados');
 }
 
@@ -58,13 +133,67 @@ export async function executeReport() {
   try {
     websocket.broadcastLog('Iniciando geração do relatório...', 'info');
     
-    // 1. Calcula KPIs do dia
-    const kpis = await api55Service.calculateDayKPIs();
+    // 1. Calcula KPIs do dia (com a curva hora a hora e o horário de pico)
+    const kpis = await api55Service.calculateDayKPIs({}, DEFAULT_REPORT, { hourly: true });
     websocket.broadcastLog(`KPIs calculados: ${kpis.totalCalls} chamadas`, 'info');
     
-    // 2. Busca análise histórica (15 dias)
-    websocket.broadcastLog('Buscando análise histórica (15 dias)...', 'info');
-    const analise = await api55Service.analisarDiaAtual();
+    // Feriado ou fechamento da empresa: o relatório sai sinalizado
+    const holiday = await calendar.getHoliday();
+    if (holiday) {
+      kpis.holiday = holiday;
+    }
+    
+    // 55PBX fora do ar: não gera análise nem envia números zerados
+    let analise = null;
+    if (kpis.unavailable) {
+      websocket.broadcastLog(`55PBX indisponível (${kpis.errorType}): ${kpis.error}`, 'error');
+    } else {
+      // 1.1 Nível de serviço e tempos (TME, TMA, abandono)
+      kpis.timeMetrics = await timeMetrics.calculateTimeMetrics(kpis);
+      
+      // 1.2 KPIs por fila (se houver filas configuradas)
+      const queues = await api55Service.calculateQueueKPIs();
+      if (queues.length > 0) {
+        kpis.queues = queues;
+        websocket.broadcastLog(`KPIs por fila calculados: ${queues.length} filas`, 'info');
+      }
+      
+      // 1.3 Ranking de agentes (opcional)
+      if (whatsappConfig.report.agentLeaderboard) {
+        const ranking = await api55Service.calculateAgentKPIs();
+        if (ranking && ranking.agents.length > 0) {
+          kpis.agents = ranking.agents;
+        }
+      }
+      
+      // 1.4 Satisfação do cliente (opcional) - não impede o envio do relatório
+      if (whatsappConfig.report.survey && api55Config.surveys.length > 0) {
+        try {
+          const survey = await api55Service.calculateSurveyKPIs();
+          if (survey) {
+            kpis.surveys = api55Service.compareSurveys(survey, await api55Service.fetchSurveyHistory(15)).surveys;
+          }
+        } catch (error) {
+          websocket.broadcastLog(`Pesquisa de satisfação indisponível: ${error.message}`, 'warning');
+        }
+      }
+      
+      // 2. Busca análise histórica (base de comparação configurada)
+      websocket.broadcastLog('Buscando análise histórica...', 'info');
+      analise = await api55Service.analisarDiaAtual();
+      
+      // 2.1 Previsão de amanhã (opcional, relatórios da noite) - não impede o envio
+      if (whatsappConfig.report.forecast && zonedHour() >= whatsappConfig.report.forecastFromHour) {
+        try {
+          const previsao = await forecast.forecastDay();
+          if (previsao) {
+            kpis.forecast = previsao;
+          }
+        } catch (error) {
+          websocket.broadcastLog(`Previsão de amanhã indisponível: ${error.message}`, 'warning');
+        }
+      }
+    }
     
     // 3. Envia via WhatsApp (passa os KPIs + análise)
     const result = await whatsappService.sendRelatorio(kpis, analise);
@@ -109,12 +238,30 @@ export async function executeReport() {
   }
 }
 
+/**
+ * Registra um relatório agendado que não foi enviado por ser feriado
+ * @param {Object} holiday - Feriado ou fechamento ({ date, name, type })
+ */
+function skipReport(holiday) {
+  const execution = {
+    timestamp: new Date().toISOString(),
+    success: true,
+    skipped: true,
+    holiday,
+    duration: 0,
+  };
+  
+  addToHistory(execution);
+  websocket.broadcastLog(`Relatório não enviado: ${holiday.name}`, 'info');
+  websocket.broadcast({ type: 'execution_skipped', payload: execution });
+}
+
 /**
  * Atualiza os KPIs D0 e envia para o painel
  */
 async function updateD0() {
   try {
-    const kpis = await api55Service.calculateDayKPIs();
+    const kpis = await api55Service.calculateDayKPIs({}, DEFAULT_REPORT, { hourly: true });
     websocket.sendD0Update(kpis);
     websocket.broadcastLog('KPIs D0 atualizados', 'info');
   } catch (error) {
@@ -122,11 +269,24 @@ async function updateD0() {
   }
 }
 
+/**
+ * Executa a reconciliação de um dia
+ * @param {Date} date - Dia de referência
+ */
+async function runReconciliation(date) {
+  try {
+    await reconciliation.reconcileDay(date);
+  } catch (error) {
+    console.error('Scheduler: Erro na reconciliação:', error.message);
+  }
+}
+
 /**
  * Adiciona execução ao histórico
  * @param {Object} execution - Dados da execução
  */
 function addToHistory(execution) {
+  const { executionHistory } = tenantState;
   executionHistory.unshift(execution); // Adiciona no início
   
   // Mantém apenas as últimas 50 execuções
@@ -136,26 +296,26 @@ function addToHistory(execution) {
 }
 
 /**
- * Retorna o histórico de execuções
+ * Retorna o histórico de execuções do tenant atual
  * @returns {Array} Histórico
  */
 export function getHistory() {
-  return executionHistory;
+  return tenantState.executionHistory;
 }
 
 /**
- * Retorna o próximo horário de disparo
+ * Retorna o próximo horário de disparo do tenant atual
  * @returns {Date|null} Próximo disparo
  */
 export function getNextRun() {
+  const { scheduledTimes } = tenantState;
   const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const today = getZonedParts(now);
   
-  // Encontra o próximo horário
+  // Encontra o próximo horário (no fuso configurado)
   for (const time of scheduledTimes.sort()) {
     const [hour, minute] = time.split(':').map(Number);
-    const scheduled = new Date(today);
-    scheduled.setHours(hour, minute || 0, 0, 0);
+    const scheduled = zonedDate(today.year, today.month, today.day, hour, minute || 0);
     
     if (scheduled > now) {
       return scheduled;
@@ -163,24 +323,30 @@ export function getNextRun() {
   }
   
   // Se todos já passaram, retorna o primeiro de amanhã
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
   const [hour, minute] = scheduledTimes[0].split(':').map(Number);
-  tomorrow.setHours(hour, minute || 0, 0, 0);
   
-  return tomorrow;
+  return zonedDate(today.year, today.month, today.day + 1, hour, minute || 0);
 }
 
 /**
- * Atualiza os horários de disparo
+ * Retorna os horários de disparo do tenant atual
+ * @returns {Array<string>} Horários (HH:MM)
+ */
+export function getScheduledTimes() {
+  return tenantState.scheduledTimes;
+}
+
+/**
+ * Atualiza os horários de disparo do tenant atual
  * @param {Array<string>} times - Novos horários
  */
 export function setScheduledTimes(times) {
-  scheduledTimes = times;
+  const tenantId = getTenantId();
+  tenantState.scheduledTimes = times;
   
-  // Cancela jobs antigos e recria
-  Object.values(jobs).forEach(job => job.stop());
-  initScheduler();
+  // Cancela os jobs antigos do tenant e recria
+  stopTenant(tenantId);
+  scheduleTenant(tenantId);
 }
 
 /**
@@ -196,6 +362,7 @@ export default {
   executeReport,
   getHistory,
   getNextRun,
+  getScheduledTimes,
   setScheduledTimes,
   stopAll,
 };
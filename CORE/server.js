@@ -13,7 +13,11 @@ import dotenv from 'dotenv';
 import routes from './routes.js';
 import { initWebSocket } from './websocket.js';
 import { initScheduler } from './scheduler.js';
+import { formatTimeBR } from './timezone.js';
+import { DEFAULT_TENANT, getTenant, listTenants, runWithTenant } from './tenants.js';
 import dbService from '../DB-Reports/service.js';
+import api55Config from '../API-55PBX/config.js';
+import { simulatorRouter, startWebhookSimulation } from '../API-55PBX/simulator.js';
 
 // Carrega variáveis de ambiente
 dotenv.config();
@@ -34,19 +38,58 @@ app.use(cors({
     '*', // Permite todas as origens (pode restringir em produção)
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'token', 'X-55PBX-Signature', 'X-55PBX-Timestamp', 'X-55PBX-Nonce'],
   credentials: true,
 }));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Proxy reverso (Render): necessário para req.ip refletir o IP real do cliente
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Tenants: /api/t/:tenant/..., /webhook/t/:tenant/... e /simulator/t/:tenant/...
+// usam as mesmas rotas, com o prefixo removido e o tenant guardado em req.tenantId
+app.use((req, res, next) => {
+  const match = /^\/(api|webhook|simulator)\/t\/([^/?]+)((?:[/?].*)?)$/.exec(req.url);
+  req.tenantId = DEFAULT_TENANT;
+  
+  if (match) {
+    const tenant = getTenant(decodeURIComponent(match[2]));
+    if (!tenant) {
+      return res.status(404).json({ error: 'Tenant não encontrado' });
+    }
+    
+    req.tenantId = tenant.id;
+    req.url = `/${match[1]}${match[3]}`;
+  }
+  
+  next();
+});
+
+// Guarda o corpo bruto para validar a assinatura HMAC do webhook
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // Log de requisições
 app.use((req, res, next) => {
-  const timestamp = new Date().toLocaleTimeString('pt-BR');
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
+  const timestamp = formatTimeBR();
+  const tenant = req.tenantId === DEFAULT_TENANT ? '' : ` [${req.tenantId}]`;
+  console.log(`[${timestamp}]${tenant} ${req.method} ${req.path}`);
   next();
 });
 
+// Daqui em diante tudo roda no contexto do tenant da requisição
+// (depois dos body parsers, que não preservam o contexto assíncrono)
+app.use((req, res, next) => runWithTenant(req.tenantId, next));
+
+// Simulador local da 55PBX (API_55_SIMULATOR=true ou API_55_URL=simulator)
+// O router responde só aos tenants com o simulador ativo
+app.use(api55Config.simulator.path, simulatorRouter);
+
 // Rotas
 app.use(routes);
 
@@ -59,11 +102,14 @@ app.get('/', (req, res) => {
     endpoints: {
       webhook: 'POST /webhook/55pbx',
       status: 'GET /api/status',
+      liveCalls: 'GET /api/calls/live',
       reportD0: 'GET /api/report/d0',
       history: 'GET /api/history',
       trigger: 'POST /api/trigger',
+      tenants: 'GET /api/tenants',
+      tenantScoped: '/api/t/:tenant/... e POST /webhook/t/:tenant/55pbx',
       health: 'GET /health',
-      websocket: 'WS /ws',
+      websocket: 'WS /ws (ou /ws/t/:tenant)',
     },
   });
 });
@@ -74,7 +120,19 @@ app.use((req, res) => {
 });
 
 // Handler de erro global
-app.use((err, req, res, next) => {
+app.use(async (err, req, res, next) => {
+  // Corpo inválido no webhook: guarda como dead-letter para não perder o evento
+  if (err.type === 'entity.parse.failed' && req.path.startsWith('/webhook')) {
+    console.warn('⚠️  Webhook: Corpo inválido recebido');
+    await runWithTenant(req.tenantId || DEFAULT_TENANT, () => dbService.addDeadLetter({
+      payload: err.body,
+      reason: 'failed',
+      error: err.message,
+      ip: req.ip,
+    }));
+    return res.status(400).json({ error: 'Corpo inválido' });
+  }
+  
   console.error('❌ Erro não tratado:', err);
   res.status(500).json({ error: 'Erro interno do servidor' });
 });
@@ -118,6 +176,13 @@ async function start() {
       console.log(`   • Relatório D0:  GET  http://localhost:${PORT}/api/report/d0`);
       console.log(`   • WebSocket:     WS   ws://localhost:${PORT}/ws`);
       console.log('\n');
+      listTenants().forEach(tenant => runWithTenant(tenant.id, () => {
+        if (api55Config.simulator.enabled) {
+          console.log(`🧪 Simulador 55PBX ativo (${tenant.id}): ${api55Config.apiUrl}`);
+          startWebhookSimulation();
+          console.log('\n');
+        }
+      }));
       console.log('🖥️  Painel ReportsDAY:');
       console.log('   Abra o arquivo FRONT-END PAINEL/index.html no navegador');
       console.log('\n');
@@ -0,0 +1,163 @@
+/**
+ * CORE - Tenants
+ *
+ * Permite que um único backend atenda várias operações (tenants), cada uma
+ * com suas credenciais da 55PBX, filas, agendamento, destinatários e pasta
+ * no DB.Reports.
+ *
+ * Os tenants são listados em TENANTS ("acme:ACME Ltda,globex:Globex") e
+ * configurados pelas mesmas variáveis de ambiente, com o prefixo
+ * TENANT_<ID>_ (ex: TENANT_ACME_API_55_TOKEN, TENANT_ACME_WHATSAPP_DESTINATION).
+ * Sem prefixo, as variáveis continuam valendo para o tenant "default".
+ *
+ * O tenant da execução atual é propagado com AsyncLocalStorage: rotas
+ * /api/t/:tenant/..., jobs do scheduler e o backfill rodam dentro de
+ * runWithTenant, e os módulos leem a configuração do tenant corrente.
+ */
+
+import dotenv from 'dotenv';
+import { AsyncLocalStorage } from 'async_hooks';
+dotenv.config();
+
+export const DEFAULT_TENANT = 'default';
+
+// Variáveis que pertencem a cada tenant (não herdam o valor sem prefixo)
+const TENANT_OWNED = [
+  'API_55_TOKEN',
+  'API_55_USERNAME',
+  'API_55_PASSWORD',
+  'API_55_WEBHOOK_TOKEN',
+  'API_55_WEBHOOK_SECRET',
+  'API_55_QUEUES',
+  'API_55_AGENTS',
+  'API_55_NUMBERS',
+  'API_55_SURVEYS',
+  'WHATSAPP_DESTINATION',
+  'ALERTS_RECIPIENTS',
+];
+
+/**
+ * Lê a lista de tenants do TENANTS ("id:Nome,id2:Nome2")
+ * @returns {Map<string, {id: string, name: string}>}
+ */
+function parseTenants() {
+  const tenants = new Map([[DEFAULT_TENANT, { id: DEFAULT_TENANT, name: 'Padrão' }]]);
+
+  (process.env.TENANTS || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .forEach(item => {
+      const [id, ...name] = item.split(':');
+      const tenantId = id.trim().toLowerCase();
+      if (/^[a-z0-9_-]+$/.test(tenantId)) {
+        tenants.set(tenantId, { id: tenantId, name: name.join(':').trim() || tenantId });
+      } else {
+        console.warn(`⚠️  Tenants: ID inválido ignorado "${id}" (use letras, números, - e _)`);
+      }
+    });
+
+  return tenants;
+}
+
+const tenants = parseTenants();
+const storage = new AsyncLocalStorage();
+
+/**
+ * Lista os tenants configurados (inclui o "default")
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function listTenants() {
+  return Array.from(tenants.values());
+}
+
+/**
+ * Busca um tenant pelo ID
+ * @param {string} id - ID do tenant
+ * @returns {Object|null}
+ */
+export function getTenant(id) {
+  return tenants.get(String(id || '').toLowerCase()) || null;
+}
+
+/**
+ * ID do tenant da execução atual ("default" fora de runWithTenant)
+ * @returns {string}
+ */
+export function getTenantId() {
+  return storage.getStore()?.id || DEFAULT_TENANT;
+}
+
+/**
+ * Executa uma função no contexto de um tenant
+ * Tudo o que for chamado (inclusive de forma assíncrona) enxerga esse tenant
+ * @param {string} id - ID do tenant
+ * @param {Function} fn - Função a executar
+ * @returns {*} Retorno da função
+ */
+export function runWithTenant(id, fn) {
+  const tenant = getTenant(id);
+  if (!tenant) {
+    throw new Error(`Tenant não encontrado: ${id}`);
+  }
+  return storage.run(tenant, fn);
+}
+
+/**
+ * Leitor de variáveis de ambiente de um tenant
+ * Procura TENANT_<ID>_<NOME>; variáveis que não pertencem ao tenant
+ * (TENANT_OWNED) herdam o valor sem prefixo
+ * @param {string} id - ID do tenant
+ * @returns {Function} (nome) => valor ou undefined
+ */
+export function tenantEnv(id = getTenantId()) {
+  if (id === DEFAULT_TENANT) {
+    return name => process.env[name];
+  }
+
+  const prefix = `TENANT_${id.toUpperCase().replace(/-/g, '_')}_`;
+  return name => process.env[`${prefix}${name}`] ?? (TENANT_OWNED.includes(name) ? undefined : process.env[name]);
+}
+
+/**
+ * Cria um objeto cujo conteúdo depende do tenant da execução atual
+ * Cada tenant recebe sua própria instância, criada sob demanda pela factory.
+ * Leituras e escritas (config.x, stats.y++) vão para a instância do tenant.
+ * @param {Function} factory - (env, tenantId) => objeto do tenant
+ * @returns {Object} Proxy
+ */
+export function tenantScoped(factory) {
+  const instances = new Map();
+
+  const resolve = () => {
+    const id = getTenantId();
+    if (!instances.has(id)) {
+      instances.set(id, factory(tenantEnv(id), id));
+    }
+    return instances.get(id);
+  };
+
+  return new Proxy({}, {
+    get: (target, key) => resolve()[key],
+    set: (target, key, value) => {
+      resolve()[key] = value;
+      return true;
+    },
+    has: (target, key) => key in resolve(),
+    ownKeys: () => Reflect.ownKeys(resolve()),
+    getOwnPropertyDescriptor: (target, key) => {
+      const descriptor = Reflect.getOwnPropertyDescriptor(resolve(), key);
+      return descriptor ? { ...descriptor, configurable: true } : undefined;
+    },
+  });
+}
+
+export default {
+  DEFAULT_TENANT,
+  listTenants,
+  getTenant,
+  getTenantId,
+  runWithTenant,
+  tenantEnv,
+  tenantScoped,
+};
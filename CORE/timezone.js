@@ -0,0 +1,293 @@
+/**
+ * CORE - Fuso Horário
+ *
+ * Fuso IANA único da aplicação (TIMEZONE, padrão America/Sao_Paulo).
+ * Define o início/fim dos dias, as datas enviadas à 55PBX, os horários
+ * do agendamento e as datas exibidas nos relatórios, independente do
+ * fuso do servidor (o Render roda em UTC).
+ */
+
+import dotenv from 'dotenv';
+import { format } from 'date-fns';
+dotenv.config();
+
+const DEFAULT_TIMEZONE = 'America/Sao_Paulo';
+
+/**
+ * Valida o fuso configurado (cai no padrão se o nome for inválido)
+ * @param {string} value - Nome IANA
+ * @returns {string} Fuso válido
+ */
+function resolveTimezone(value) {
+  if (!value) return DEFAULT_TIMEZONE;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    console.warn(`⚠️  Timezone: "${value}" inválido, usando ${DEFAULT_TIMEZONE}`);
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+export const TIMEZONE = resolveTimezone(process.env.TIMEZONE);
+
+// Formatter reutilizado (criar Intl.DateTimeFormat é caro)
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+/**
+ * Retorna os campos de data/hora de um instante no fuso configurado
+ * @param {Date} date - Instante
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export function getZonedParts(date = new Date()) {
+  const parts = {};
+  partsFormatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Diferença do fuso para UTC em minutos (ex: -180 para Brasília)
+ * @param {Date} date - Instante (o offset muda com horário de verão)
+ * @returns {number} Minutos
+ */
+export function getOffsetMinutes(date = new Date()) {
+  const p = getZonedParts(date);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Offset no formato ±HHMM (ex: "-0300")
+ * @param {Date} date - Instante
+ * @returns {string}
+ */
+export function formatOffset(date = new Date()) {
+  const offset = getOffsetMinutes(date);
+  const abs = Math.abs(offset);
+  const sign = offset < 0 ? '-' : '+';
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Offset em horas, no formato do path da 55PBX (ex: "-3")
+ * @param {Date} date - Instante
+ * @returns {string}
+ */
+export function formatOffsetHours(date = new Date()) {
+  return String(getOffsetMinutes(date) / 60);
+}
+
+/**
+ * Cria o instante correspondente a uma data/hora de parede no fuso configurado
+ * Campos fora do intervalo são normalizados (ex: dia 32 vira o dia 1 seguinte)
+ * @returns {Date} Instante
+ */
+export function zonedDate(year, month, day, hour = 0, minute = 0, second = 0, ms = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+
+  // Primeiro palpite com o offset do próprio horário; corrige se cruzar uma mudança de offset
+  let instant = wall - getOffsetMinutes(new Date(wall)) * 60000;
+  instant = wall - getOffsetMinutes(new Date(instant)) * 60000;
+
+  return new Date(instant);
+}
+
+/**
+ * Meia-noite do dia (no fuso configurado) que contém o instante
+ * @param {Date} date - Instante
+ * @returns {Date}
+ */
+export function zonedStartOfDay(date = new Date()) {
+  const p = getZonedParts(date);
+  return zonedDate(p.year, p.month, p.day);
+}
+
+/**
+ * Último milissegundo do dia (no fuso configurado) que contém o instante
+ * @param {Date} date - Instante
+ * @returns {Date}
+ */
+export function zonedEndOfDay(date = new Date()) {
+  const p = getZonedParts(date);
+  return new Date(zonedDate(p.year, p.month, p.day + 1).getTime() - 1);
+}
+
+/**
+ * Soma dias de calendário mantendo o horário de parede
+ * @param {Date} date - Instante
+ * @param {number} amount - Dias (negativo para voltar)
+ * @returns {Date}
+ */
+export function zonedAddDays(date, amount) {
+  const p = getZonedParts(date);
+  return zonedDate(p.year, p.month, p.day + amount, p.hour, p.minute, p.second, date.getMilliseconds());
+}
+
+/**
+ * Hora do dia (0-23) no fuso configurado
+ * @param {Date} date - Instante
+ * @returns {number}
+ */
+export function zonedHour(date = new Date()) {
+  return getZonedParts(date).hour;
+}
+
+/**
+ * Dia da semana (0 = domingo) no fuso configurado
+ * @param {Date} date - Instante
+ * @returns {number}
+ */
+export function zonedDay(date = new Date()) {
+  const p = getZonedParts(date);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+}
+
+/**
+ * Formata um instante no fuso configurado com os tokens do date-fns
+ * @param {Date} date - Instante
+ * @param {string} pattern - Ex: "yyyy-MM-dd", "dd/MM/yyyy HH:mm"
+ * @param {Object} options - Opções do date-fns (ex: { locale })
+ * @returns {string}
+ */
+export function formatZoned(date, pattern, options) {
+  const p = getZonedParts(date);
+  // Date "de parede": campos locais iguais aos do fuso configurado
+  const wall = new Date(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return format(wall, pattern, options);
+}
+
+/**
+ * Chave do dia no fuso configurado (nomes de arquivo, histórico)
+ * @param {Date} date - Instante
+ * @returns {string} "yyyy-MM-dd"
+ */
+export function toDateKey(date = new Date()) {
+  return formatZoned(date, 'yyyy-MM-dd');
+}
+
+/**
+ * Converte "yyyy-MM-dd" na meia-noite desse dia no fuso configurado
+ * @param {string} value - Data
+ * @returns {Date|null} Instante ou null se inválida
+ */
+export function parseDateKey(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = zonedDate(year, month, day);
+
+  // Rejeita datas que "transbordam" (ex: 2025-02-30)
+  return toDateKey(date) === match[0] ? date : null;
+}
+
+/**
+ * Converte uma data/hora recebida da 55PBX em instante
+ * Sem offset ("yyyy-MM-dd HH:mm:ss") é hora de parede no fuso configurado,
+ * não no fuso do servidor; com "Z" ou offset, o próprio valor vale
+ * @param {string} value - Data/hora
+ * @returns {Date|null} Instante ou null se inválida
+ */
+export function parseZonedDateTime(value) {
+  const text = String(value || '').trim();
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/.exec(text);
+
+  if (match) {
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(part => Number(part || 0));
+    const ms = Number((match[7] || '0').padEnd(3, '0'));
+    return zonedDate(year, month, day, hour, minute, second, ms);
+  }
+
+  const date = new Date(text);
+  return text && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Verifica se o instante cai no dia de hoje (no fuso configurado)
+ * @param {Date} date - Instante
+ * @returns {boolean}
+ */
+export function isZonedToday(date) {
+  return toDateKey(date) === toDateKey(new Date());
+}
+
+/**
+ * Período do dia para os relatórios
+ * @param {Date} date - Instante
+ * @returns {'Manhã'|'Tarde'}
+ */
+export function getPeriodLabel(date = new Date()) {
+  return zonedHour(date) < 12 ? 'Manhã' : 'Tarde';
+}
+
+/**
+ * Data no padrão brasileiro (DD/MM/AAAA) no fuso configurado
+ * @param {Date} date - Instante
+ * @param {Object} options - Opções extras do toLocaleDateString
+ * @returns {string}
+ */
+export function formatDateBR(date = new Date(), options = {}) {
+  return date.toLocaleDateString('pt-BR', { timeZone: TIMEZONE, ...options });
+}
+
+/**
+ * Horário no padrão brasileiro no fuso configurado
+ * @param {Date} date - Instante
+ * @param {Object} options - Opções extras do toLocaleTimeString
+ * @returns {string}
+ */
+export function formatTimeBR(date = new Date(), options = {}) {
+  return date.toLocaleTimeString('pt-BR', { timeZone: TIMEZONE, ...options });
+}
+
+/**
+ * Data e hora no padrão brasileiro no fuso configurado
+ * @param {Date} date - Instante
+ * @returns {string}
+ */
+export function formatDateTimeBR(date = new Date()) {
+  return date.toLocaleString('pt-BR', { timeZone: TIMEZONE });
+}
+
+export default {
+  TIMEZONE,
+  getZonedParts,
+  getOffsetMinutes,
+  formatOffset,
+  formatOffsetHours,
+  zonedDate,
+  zonedStartOfDay,
+  zonedEndOfDay,
+  zonedAddDays,
+  zonedHour,
+  zonedDay,
+  formatZoned,
+  toDateKey,
+  parseDateKey,
+  parseZonedDateTime,
+  isZonedToday,
+  getPeriodLabel,
+  formatDateBR,
+  formatTimeBR,
+  formatDateTimeBR,
+};
@@ -6,35 +6,64 @@
  */
 
 import { WebSocketServer } from 'ws';
+import { DEFAULT_TENANT, getTenant, getTenantId, runWithTenant } from './tenants.js';
 
-// Armazena todas as conexões ativas
-const clients = new Set();
+// Conexões ativas (conexão -> tenant do painel)
+const clients = new Map();
 
 // Instância do servidor WebSocket
 let wss = null;
 
+/**
+ * Identifica o tenant pela URL da conexão: /ws (default) ou /ws/t/:tenant
+ * @param {string} url - URL da requisição de upgrade
+ * @returns {string|null} ID do tenant ou null se a URL/tenant não existe
+ */
+function resolveTenant(url) {
+  const match = /^\/ws(?:\/t\/([^/?]+))?\/?(?:\?.*)?$/.exec(url || '');
+  if (!match) return null;
+  if (!match[1]) return DEFAULT_TENANT;
+  
+  return getTenant(decodeURIComponent(match[1]))?.id || null;
+}
+
 /**
  * Inicializa o servidor WebSocket
+ * Cada painel conecta em /ws (tenant default) ou /ws/t/:tenant e só recebe
+ * as mensagens do próprio tenant
  * @param {Object} server - Servidor HTTP do Express
  */
 export function initWebSocket(server) {
-  wss = new WebSocketServer({ server, path: '/ws' });
+  wss = new WebSocketServer({ noServer: true });
   
-  wss.on('connection', (ws) => {
-    console.log('🔗 WebSocket: Nova conexão estabelecida');
-    clients.add(ws);
+  server.on('upgrade', (req, socket, head) => {
+    const tenantId = resolveTenant(req.url);
+    if (!tenantId) {
+      socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+    
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, tenantId));
+  });
+  
+  wss.on('connection', (ws, tenantId) => {
+    const prefix = tenantId === DEFAULT_TENANT ? '' : `[${tenantId}] `;
+    console.log(`🔗 WebSocket: ${prefix}Nova conexão estabelecida`);
+    clients.set(ws, tenantId);
     
     // Envia status inicial
     sendToClient(ws, {
       type: 'log',
       payload: { message: 'Conectado ao servidor 55SYSTEM', level: 'success' },
+      tenant: tenantId,
     });
     
-    // Handler de mensagens
+    // Handler de mensagens (no contexto do tenant da conexão)
     ws.on('message', (data) => {
       try {
         const message = JSON.parse(data.toString());
-        handleMessage(ws, message);
+        runWithTenant(tenantId, () => handleMessage(ws, message));
       } catch (err) {
         console.error('WebSocket: Erro ao processar mensagem:', err);
       }
@@ -42,7 +71,7 @@ export function initWebSocket(server) {
     
     // Handler de desconexão
     ws.on('close', () => {
-      console.log('🔌 WebSocket: Conexão fechada');
+      console.log(`🔌 WebSocket: ${prefix}Conexão fechada`);
       clients.delete(ws);
     });
     
@@ -53,7 +82,7 @@ export function initWebSocket(server) {
     });
   });
   
-  console.log('✅ WebSocket: Servidor inicializado em /ws');
+  console.log('✅ WebSocket: Servidor inicializado em /ws (tenants: /ws/t/:tenant)');
 }
 
 /**
@@ -91,13 +120,15 @@ export function sendToClient(ws, data) {
 }
 
 /**
- * Envia mensagem para todos os clientes conectados
+ * Envia mensagem para os clientes conectados do tenant atual
+ * Painéis de outros tenants não recebem KPIs, ligações, alertas nem logs
  * @param {Object} data - Dados a enviar
  */
 export function broadcast(data) {
-  const message = JSON.stringify(data);
-  clients.forEach((client) => {
-    if (client.readyState === client.OPEN) {
+  const tenantId = getTenantId();
+  const message = JSON.stringify({ ...data, tenant: tenantId });
+  clients.forEach((clientTenant, client) => {
+    if (clientTenant === tenantId && client.readyState === client.OPEN) {
       client.send(message);
     }
   });
@@ -126,6 +157,17 @@ export function notifyNewCall(callData) {
   });
 }
 
+/**
+ * Envia o painel ao vivo (chamadas aguardando por fila)
+ * @param {Object} snapshot - Snapshot das filas
+ */
+export function sendLiveCallsUpdate(snapshot) {
+  broadcast({
+    type: 'live_calls',
+    payload: snapshot,
+  });
+}
+
 /**
  * Envia atualização do D0
  * @param {Object} kpis - KPIs atualizados
@@ -138,11 +180,12 @@ export function sendD0Update(kpis) {
 }
 
 /**
- * Retorna número de clientes conectados
+ * Retorna número de clientes conectados do tenant atual
  * @returns {number}
  */
 export function getClientCount() {
-  return clients.size;
+  const tenantId = getTenantId();
+  return [...clients.values()].filter(clientTenant => clientTenant === tenantId).length;
 }
 
 export default {
@@ -150,6 +193,7 @@ export default {
   broadcast,
   broadcastLog,
   notifyNewCall,
+  sendLiveCallsUpdate,
   sendD0Update,
   getClientCount,
 };
@@ -6,25 +6,70 @@
  */
 
 import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { format } from 'date-fns';
+import { toDateKey, parseDateKey } from '../CORE/timezone.js';
+import { DEFAULT_TENANT, getTenantId } from '../CORE/tenants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 // Caminho da pasta de dados
-const DB_PATH = join(__dirname, '..', 'DB.Reports');
+const DB_ROOT = join(__dirname, '..', 'DB.Reports');
 
 // TTL padrão: 25 horas (90000 segundos)
 const DEFAULT_TTL = 90000;
 
+// Tempo máximo de uma chamada em andamento: 4 horas (14400 segundos)
+const ACTIVE_CALL_MAX_AGE = 14400;
+
+// Quantidade máxima de dead-letters mantidas (as mais antigas são descartadas)
+const DEAD_LETTERS_MAX = 1000;
+
+// Quantidade máxima de registros de requisições rejeitadas (só o resumo, sem o corpo)
+const REJECTED_DEAD_LETTERS_MAX = 100;
+
+// Quantidade máxima de mensagens mantidas na caixa de saída
+const OUTBOX_MAX = 500;
+
+/**
+ * Pasta de dados do tenant atual
+ * O tenant "default" usa a raiz do DB.Reports; os demais, DB.Reports/tenants/<id>
+ * @returns {string} Caminho da pasta
+ */
+function dbPath() {
+  const tenantId = getTenantId();
+  return tenantId === DEFAULT_TENANT ? DB_ROOT : join(DB_ROOT, 'tenants', tenantId);
+}
+
+// Arquivo com as chamadas em andamento (início recebido, fim pendente)
+const activeCallsPath = () => join(dbPath(), 'active-calls.json');
+
+// Pasta com o histórico permanente de dias fechados
+const historyPath = () => join(dbPath(), 'history');
+
+// Arquivo de dead-letters (webhooks rejeitados ou que falharam)
+const deadLettersPath = () => join(dbPath(), 'dead-letters.json');
+
+// Arquivo da caixa de saída do WhatsApp em modo sandbox
+const outboxPath = () => join(dbPath(), 'outbox.json');
+
+// Arquivo com os fechamentos da empresa (calendário de dias úteis)
+const calendarPath = () => join(dbPath(), 'calendar.json');
+
+// Arquivo com as regras de alerta
+const alertRulesPath = () => join(dbPath(), 'alert-rules.json');
+
+// Arquivo com as faixas de classificação personalizadas (levels.js)
+const levelsPath = () => join(dbPath(), 'levels.json');
+
 /**
- * Garante que a pasta DB.Reports existe
+ * Garante que a pasta do tenant no DB.Reports existe
  */
 async function ensureDbPath() {
   try {
-    await fs.mkdir(DB_PATH, { recursive: true });
+    await fs.mkdir(dbPath(), { recursive: true });
   } catch (error) {
     // Pasta já existe ou erro de permissão
   }
@@ -36,8 +81,8 @@ async function ensureDbPath() {
  * @returns {string} Caminho do arquivo
  */
 function getCallsFilePath(date = new Date()) {
-  const dateStr = format(date, 'yyyy-MM-dd');
-  return join(DB_PATH, `calls-${dateStr}.json`);
+  const dateStr = toDateKey(date);
+  return join(dbPath(), `calls-${dateStr}.json`);
 }
 
 /**
@@ -46,8 +91,8 @@ function getCallsFilePath(date = new Date()) {
  * @returns {string} Caminho do arquivo
  */
 function getMetadataFilePath(date = new Date()) {
-  const dateStr = format(date, 'yyyy-MM-dd');
-  return join(DB_PATH, `metadata-${dateStr}.json`);
+  const dateStr = toDateKey(date);
+  return join(dbPath(), `metadata-${dateStr}.json`);
 }
 
 /**
@@ -66,42 +111,199 @@ export async function disconnect() {
   // Não precisa fazer nada para arquivos
 }
 
+// Fila de escrita (serializa operações read-modify-write)
+let writeQueue = Promise.resolve();
+
+/**
+ * Enfileira operações de escrita para evitar que webhooks simultâneos
+ * sobrescrevam o mesmo arquivo
+ * @param {Function} task - Operação assíncrona
+ * @returns {Promise<*>} Resultado da operação
+ */
+function enqueueWrite(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Lê um arquivo JSON, retornando o valor padrão se não existir
+ * @param {string} filePath - Caminho do arquivo
+ * @param {*} fallback - Valor padrão
+ * @returns {Promise<*>} Conteúdo do arquivo
+ */
+async function readJson(filePath, fallback) {
+  try {
+    const data = await fs.readFile(filePath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Grava um objeto como JSON
+ * @param {string} filePath - Caminho do arquivo
+ * @param {*} value - Conteúdo
+ */
+async function writeJson(filePath, value) {
+  await fs.writeFile(filePath, JSON.stringify(value, null, 2), 'utf-8');
+}
+
+/**
+ * Insere ou atualiza uma chamada (chave: call_id) no arquivo do dia
+ * @param {Object} callData - Dados da chamada
+ * @param {Date} date - Dia em que a chamada foi aberta
+ * @returns {Promise<Object>} Registro resultante
+ */
+async function upsertCallRecord(callData, date = new Date()) {
+  const filePath = getCallsFilePath(date);
+  const calls = await readJson(filePath, []);
+  const now = new Date().toISOString();
+  
+  const index = callData.call_id
+    ? calls.findIndex(call => call && call.call_id === callData.call_id)
+    : -1;
+  
+  let record;
+  if (index >= 0) {
+    record = { ...calls[index], ...callData, updatedAt: now };
+    calls[index] = record;
+  } else {
+    record = { ...callData, timestamp: now };
+    calls.push(record);
+  }
+  
+  await writeJson(filePath, calls);
+  await updateMetadata(date);
+  
+  return record;
+}
+
 /**
- * Adiciona uma chamada à lista do dia
+ * Adiciona (ou atualiza, se o call_id já existir) uma chamada no dia
  * @param {Object} callData - Dados normalizados da chamada
  * @returns {Promise<boolean>} True se sucesso
  */
 export async function addCall(callData) {
   try {
     await ensureDbPath();
-    const filePath = getCallsFilePath();
-    
-    // Lê arquivo existente ou cria novo
-    let calls = [];
-    try {
-      const data = await fs.readFile(filePath, 'utf-8');
-      calls = JSON.parse(data);
-    } catch (error) {
-      // Arquivo não existe, cria novo array
-      calls = [];
+    await enqueueWrite(() => upsertCallRecord(callData));
+    return true;
+  } catch (error) {
+    console.error('❌ DB-Reports: Erro ao adicionar chamada:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Lê o conjunto de chamadas em andamento, descartando as que
+ * passaram do tempo máximo (evento de fim perdido)
+ * @returns {Promise<Object>} Mapa call_id -> chamada ativa
+ */
+async function readActiveCalls() {
+  const active = await readJson(activeCallsPath(), {});
+  const limit = Date.now() - ACTIVE_CALL_MAX_AGE * 1000;
+  
+  Object.keys(active).forEach(callId => {
+    if (new Date(active[callId].startedAt).getTime() < limit) {
+      delete active[callId];
     }
+  });
+  
+  return active;
+}
+
+/**
+ * Abre (ou atualiza) o registro de uma chamada em andamento
+ * @param {Object} callData - Dados normalizados da chamada; answered = true quando o evento indica o atendimento
+ * @returns {Promise<Object|null>} Registro aberto ou null em caso de erro
+ */
+export async function startCall(callData) {
+  try {
+    await ensureDbPath();
     
-    // Adiciona nova chamada
-    calls.push({
-      ...callData,
-      timestamp: new Date().toISOString(),
+    return await enqueueWrite(async () => {
+      const active = await readActiveCalls();
+      const existing = active[callData.call_id];
+      const startedAt = existing?.startedAt || new Date().toISOString();
+      const day = existing?.day || toDateKey(new Date());
+      // Atendimento é definitivo: eventos seguintes não voltam a chamada para a espera
+      const { answered, ...call } = callData;
+      const answeredAt = existing?.answeredAt || (answered ? new Date().toISOString() : null);
+      
+      const record = await upsertCallRecord({
+        ...call,
+        state: 'in_progress',
+        startedAt,
+      }, parseDateKey(day));
+      
+      active[callData.call_id] = {
+        call_id: callData.call_id,
+        call_queue: callData.call_queue || existing?.call_queue || '',
+        call_status: callData.call_status,
+        call_date: callData.call_date,
+        answered: !!answeredAt,
+        answeredAt,
+        startedAt,
+        day,
+      };
+      await writeJson(activeCallsPath(), active);
+      
+      return record;
     });
+  } catch (error) {
+    console.error('❌ DB-Reports: Erro ao abrir chamada:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Finaliza o registro de uma chamada (evento de fim)
+ * Se o início não foi recebido, cria o registro já finalizado
+ * @param {Object} callData - Dados normalizados da chamada
+ * @returns {Promise<Object|null>} Registro finalizado ou null em caso de erro
+ */
+export async function endCall(callData) {
+  try {
+    await ensureDbPath();
     
-    // Salva arquivo
-    await fs.writeFile(filePath, JSON.stringify(calls, null, 2), 'utf-8');
-    
-    // Atualiza metadados (TTL)
-    await updateMetadata(new Date());
-    
-    return true;
+    return await enqueueWrite(async () => {
+      const active = await readActiveCalls();
+      const opened = active[callData.call_id];
+      const day = opened ? parseDateKey(opened.day) : new Date();
+      
+      const record = await upsertCallRecord({
+        ...callData,
+        call_date: opened?.call_date || callData.call_date,
+        state: 'completed',
+        startedAt: opened?.startedAt || null,
+        endedAt: new Date().toISOString(),
+      }, day);
+      
+      if (opened) {
+        delete active[callData.call_id];
+      }
+      await writeJson(activeCallsPath(), active);
+      
+      return record;
+    });
   } catch (error) {
-    console.error('❌ DB-Reports: Erro ao adicionar chamada:', error.message);
-    return false;
+    console.error('❌ DB-Reports: Erro ao finalizar chamada:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Lista as chamadas em andamento
+ * @returns {Promise<Array>} Chamadas ativas
+ */
+export async function getActiveCalls() {
+  try {
+    const active = await readActiveCalls();
+    return Object.values(active);
+  } catch (error) {
+    return [];
   }
 }
 
@@ -232,6 +434,394 @@ export async function clearCache(date = new Date()) {
   }
 }
 
+/**
+ * Registra um webhook rejeitado ou que falhou no processamento
+ * Requisições rejeitadas (token, assinatura ou IP) guardam só o resumo
+ * (motivo, IP e horário), sem o corpo, e têm limite próprio
+ * @param {Object} entry - Dados do webhook
+ * @param {*} entry.payload - Corpo recebido (ignorado nas rejeitadas)
+ * @param {string} entry.reason - Motivo: 'rejected' ou 'failed'
+ * @param {string} entry.error - Mensagem de erro
+ * @param {string} [entry.ip] - IP de origem
+ * @returns {Promise<Object|null>} Dead-letter criada ou null em caso de erro
+ */
+export async function addDeadLetter({ payload, reason, error, ip = null }) {
+  try {
+    await ensureDbPath();
+    
+    return await enqueueWrite(async () => {
+      let deadLetters = await readJson(deadLettersPath(), []);
+      const rejected = reason === 'rejected';
+      
+      const deadLetter = {
+        id: randomUUID(),
+        receivedAt: new Date().toISOString(),
+        reason,
+        error,
+        ip,
+        status: rejected ? 'rejected' : 'pending',
+      };
+      if (!rejected) {
+        deadLetter.payload = payload;
+        deadLetter.attempts = 0;
+      }
+      
+      deadLetters.push(deadLetter);
+      
+      // Rejeitadas não podem lotar o arquivo: descarta as mais antigas acima do limite
+      if (rejected) {
+        let excess = deadLetters.filter(entry => entry.reason === 'rejected').length - REJECTED_DEAD_LETTERS_MAX;
+        if (excess > 0) {
+          deadLetters = deadLetters.filter(entry => entry.reason !== 'rejected' || excess-- <= 0);
+        }
+      }
+      if (deadLetters.length > DEAD_LETTERS_MAX) {
+        deadLetters.splice(0, deadLetters.length - DEAD_LETTERS_MAX);
+      }
+      
+      await writeJson(deadLettersPath(), deadLetters);
+      return deadLetter;
+    });
+  } catch (err) {
+    console.error('❌ DB-Reports: Erro ao gravar dead-letter:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Lista as dead-letters (mais recentes primeiro)
+ * @param {string} [status] - Filtra por status ('pending', 'replayed' ou 'rejected')
+ * @returns {Promise<Array>} Dead-letters
+ */
+export async function getDeadLetters(status = null) {
+  const deadLetters = await readJson(deadLettersPath(), []);
+  return deadLetters
+    .filter(entry => !status || entry.status === status)
+    .reverse();
+}
+
+/**
+ * Busca uma dead-letter pelo ID
+ * @param {string} id - ID da dead-letter
+ * @returns {Promise<Object|null>}
+ */
+export async function getDeadLetter(id) {
+  const deadLetters = await readJson(deadLettersPath(), []);
+  return deadLetters.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Atualiza uma dead-letter (ex: após uma tentativa de replay)
+ * @param {string} id - ID da dead-letter
+ * @param {Object} changes - Campos a atualizar
+ * @returns {Promise<Object|null>} Dead-letter atualizada ou null se não existe
+ */
+export async function updateDeadLetter(id, changes) {
+  return enqueueWrite(async () => {
+    const deadLetters = await readJson(deadLettersPath(), []);
+    const index = deadLetters.findIndex(entry => entry.id === id);
+    
+    if (index < 0) return null;
+    
+    deadLetters[index] = { ...deadLetters[index], ...changes };
+    await writeJson(deadLettersPath(), deadLetters);
+    
+    return deadLetters[index];
+  });
+}
+
+/**
+ * Registra uma mensagem na caixa de saída (WhatsApp em modo sandbox)
+ * @param {Object} entry - Mensagem
+ * @param {string} entry.type - Tipo: 'message', 'report' ou 'report_all'
+ * @param {string} entry.endpoint - Endpoint que seria chamado na API Baileys
+ * @param {string} entry.recipient - Destinatário
+ * @param {Object} entry.payload - Corpo que seria enviado
+ * @returns {Promise<Object|null>} Mensagem registrada ou null em caso de erro
+ */
+export async function addOutboxEntry({ type, endpoint, recipient, payload }) {
+  try {
+    await ensureDbPath();
+    
+    return await enqueueWrite(async () => {
+      const outbox = await readJson(outboxPath(), []);
+      
+      const entry = {
+        id: randomUUID(),
+        createdAt: new Date().toISOString(),
+        type,
+        endpoint,
+        recipient,
+        payload,
+      };
+      
+      outbox.push(entry);
+      if (outbox.length > OUTBOX_MAX) {
+        outbox.splice(0, outbox.length - OUTBOX_MAX);
+      }
+      
+      await writeJson(outboxPath(), outbox);
+      return entry;
+    });
+  } catch (err) {
+    console.error('❌ DB-Reports: Erro ao gravar na caixa de saída:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Lista a caixa de saída (mais recentes primeiro)
+ * @param {Object} filters - Filtros
+ * @param {string} [filters.type] - Tipo da mensagem
+ * @param {string} [filters.recipient] - Destinatário
+ * @param {number} [filters.limit] - Quantidade máxima (padrão: todas)
+ * @returns {Promise<Array>} Mensagens
+ */
+export async function getOutbox({ type = null, recipient = null, limit = null } = {}) {
+  const outbox = await readJson(outboxPath(), []);
+  const entries = outbox
+    .filter(entry => (!type || entry.type === type) && (!recipient || entry.recipient === recipient))
+    .reverse();
+  
+  return limit ? entries.slice(0, limit) : entries;
+}
+
+/**
+ * Esvazia a caixa de saída
+ * @returns {Promise<number>} Quantidade de mensagens removidas
+ */
+export async function clearOutbox() {
+  await ensureDbPath();
+  
+  return enqueueWrite(async () => {
+    const outbox = await readJson(outboxPath(), []);
+    await writeJson(outboxPath(), []);
+    return outbox.length;
+  });
+}
+
+/**
+ * Lista os fechamentos da empresa cadastrados no calendário
+ * @returns {Promise<Array<{date: string, name: string, createdAt: string}>>} Em ordem de data
+ */
+export async function getCalendarClosures() {
+  const closures = await readJson(calendarPath(), {});
+  return Object.values(closures).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Cadastra (ou renomeia) um fechamento da empresa
+ * @param {Object} closure - Fechamento
+ * @param {string} closure.date - Data (YYYY-MM-DD)
+ * @param {string} closure.name - Descrição (ex: "Inventário anual")
+ * @returns {Promise<Object|null>} Fechamento gravado ou null em caso de erro
+ */
+export async function addCalendarClosure({ date, name }) {
+  try {
+    await ensureDbPath();
+    
+    return await enqueueWrite(async () => {
+      const closures = await readJson(calendarPath(), {});
+      closures[date] = { date, name, createdAt: new Date().toISOString() };
+      await writeJson(calendarPath(), closures);
+      return closures[date];
+    });
+  } catch (err) {
+    console.error('❌ DB-Reports: Erro ao gravar fechamento:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Remove um fechamento da empresa
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @returns {Promise<boolean>} True se existia e foi removido
+ */
+export async function removeCalendarClosure(date) {
+  await ensureDbPath();
+  
+  return enqueueWrite(async () => {
+    const closures = await readJson(calendarPath(), {});
+    if (!closures[date]) return false;
+    
+    delete closures[date];
+    await writeJson(calendarPath(), closures);
+    return true;
+  });
+}
+
+/**
+ * Lista as faixas de classificação personalizadas (métrica -> definição)
+ * @returns {Promise<Object>} Definições gravadas (métricas ausentes usam o padrão)
+ */
+export async function getLevelDefinitions() {
+  return readJson(levelsPath(), {});
+}
+
+/**
+ * Grava a definição de classificação de uma métrica
+ * @param {string} metric - Métrica (ex: abandonadas)
+ * @param {Object} definition - { bands }
+ * @returns {Promise<Object|null>} Definição gravada ou null em caso de erro
+ */
+export async function saveLevelDefinition(metric, definition) {
+  try {
+    await ensureDbPath();
+    
+    return await enqueueWrite(async () => {
+      const levels = await readJson(levelsPath(), {});
+      levels[metric] = { ...definition, updatedAt: new Date().toISOString() };
+      await writeJson(levelsPath(), levels);
+      return levels[metric];
+    });
+  } catch (err) {
+    console.error('❌ DB-Reports: Erro ao gravar classificação:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Remove a definição personalizada de uma métrica (volta ao padrão)
+ * @param {string} metric - Métrica
+ * @returns {Promise<boolean>} True se existia
+ */
+export async function removeLevelDefinition(metric) {
+  await ensureDbPath();
+  
+  return enqueueWrite(async () => {
+    const levels = await readJson(levelsPath(), {});
+    if (!levels[metric]) return false;
+    
+    delete levels[metric];
+    await writeJson(levelsPath(), levels);
+    return true;
+  });
+}
+
+/**
+ * Lista as regras de alerta
+ * @returns {Promise<Array>} Regras em ordem de criação
+ */
+export async function getAlertRules() {
+  return readJson(alertRulesPath(), []);
+}
+
+/**
+ * Cria ou atualiza uma regra de alerta (pelo id)
+ * @param {Object} rule - Regra completa (com id)
+ * @returns {Promise<Object|null>} Regra gravada ou null em caso de erro
+ */
+export async function saveAlertRule(rule) {
+  try {
+    await ensureDbPath();
+    
+    return await enqueueWrite(async () => {
+      const rules = await readJson(alertRulesPath(), []);
+      const index = rules.findIndex(r => r.id === rule.id);
+      
+      if (index >= 0) {
+        rules[index] = rule;
+      } else {
+        rules.push(rule);
+      }
+      
+      await writeJson(alertRulesPath(), rules);
+      return rule;
+    });
+  } catch (err) {
+    console.error('❌ DB-Reports: Erro ao gravar regra de alerta:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Remove uma regra de alerta
+ * @param {string} id - ID da regra
+ * @returns {Promise<boolean>} True se existia e foi removida
+ */
+export async function removeAlertRule(id) {
+  await ensureDbPath();
+  
+  return enqueueWrite(async () => {
+    const rules = await readJson(alertRulesPath(), []);
+    const remaining = rules.filter(r => r.id !== id);
+    if (remaining.length === rules.length) return false;
+    
+    await writeJson(alertRulesPath(), remaining);
+    return true;
+  });
+}
+
+/**
+ * Gera o caminho do arquivo de histórico de um namespace
+ * @param {string} namespace - Ex: "report_01" ou "report_01-number_5511"
+ * @returns {string} Caminho do arquivo
+ */
+function getHistoryFilePath(namespace) {
+  const safeName = namespace.replace(/[^a-zA-Z0-9_-]/g, '_');
+  return join(historyPath(), `${safeName}.json`);
+}
+
+/**
+ * Busca dias fechados do histórico permanente
+ * @param {Array<string>} dates - Datas no formato YYYY-MM-DD
+ * @param {string} namespace - Namespace do histórico (relatório + filtros)
+ * @returns {Promise<Object>} Mapa data -> registro (apenas os encontrados)
+ */
+export async function getHistoryDays(dates, namespace = 'report_01') {
+  const history = await readJson(getHistoryFilePath(namespace), {});
+  const found = {};
+  
+  dates.forEach(date => {
+    if (history[date]) {
+      found[date] = history[date];
+    }
+  });
+  
+  return found;
+}
+
+/**
+ * Grava dias fechados no histórico permanente (sem TTL)
+ * @param {Object} days - Mapa data (YYYY-MM-DD) -> registro
+ * @param {string} namespace - Namespace do histórico (relatório + filtros)
+ * @returns {Promise<boolean>} True se sucesso
+ */
+export async function saveHistoryDays(days, namespace = 'report_01') {
+  if (Object.keys(days).length === 0) return true;
+  
+  try {
+    await fs.mkdir(historyPath(), { recursive: true });
+    
+    await enqueueWrite(async () => {
+      const filePath = getHistoryFilePath(namespace);
+      const history = await readJson(filePath, {});
+      const storedAt = new Date().toISOString();
+      
+      Object.entries(days).forEach(([date, record]) => {
+        history[date] = { ...record, storedAt };
+      });
+      
+      await writeJson(filePath, history);
+    });
+    
+    return true;
+  } catch (error) {
+    console.error('❌ DB-Reports: Erro ao gravar histórico:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Lista as datas armazenadas no histórico permanente
+ * @param {string} namespace - Namespace do histórico
+ * @returns {Promise<Array<string>>} Datas (YYYY-MM-DD) em ordem crescente
+ */
+export async function listHistoryDates(namespace = 'report_01') {
+  const history = await readJson(getHistoryFilePath(namespace), {});
+  return Object.keys(history).sort();
+}
+
 /**
  * Retorna status da conexão
  * @returns {Object} Status do armazenamento
@@ -240,7 +830,7 @@ export function getStatus() {
   return {
     connected: true, // Sempre conectado (arquivos locais)
     type: 'file-system',
-    path: DB_PATH,
+    path: dbPath(),
   };
 }
 
@@ -248,11 +838,33 @@ export default {
   connect,
   disconnect,
   addCall,
+  startCall,
+  endCall,
+  getActiveCalls,
   getTodayCalls,
   countTodayCalls,
   hasCache,
   getCacheTTL,
   clearCache,
+  addDeadLetter,
+  getDeadLetters,
+  getDeadLetter,
+  updateDeadLetter,
+  addOutboxEntry,
+  getOutbox,
+  clearOutbox,
+  getCalendarClosures,
+  addCalendarClosure,
+  removeCalendarClosure,
+  getLevelDefinitions,
+  saveLevelDefinition,
+  removeLevelDefinition,
+  getAlertRules,
+  saveAlertRule,
+  removeAlertRule,
+  getHistoryDays,
+  saveHistoryDays,
+  listHistoryDates,
   getStatus,
 };
 